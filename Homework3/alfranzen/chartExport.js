@@ -0,0 +1,264 @@
+/**
+ * @file Export menu for the chart containers: downloads the current view as a standalone SVG
+ * or a PNG, and the Pokémon behind it as CSV or JSON.
+ */
+
+/**
+ * Presentation properties copied from the computed style onto every exported element, so the
+ * standalone SVG looks as it does on the page without `style.css`.
+ * @private
+ * @type {Array<string>}
+ */
+const INLINED_STYLE_PROPERTIES = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+    "stroke-linecap", "stroke-linejoin", "opacity", "visibility", "display", "shape-rendering",
+    "font-family", "font-size", "font-weight", "font-style", "text-anchor", "dominant-baseline",
+    "text-decoration", "letter-spacing"
+];
+
+/**
+ * Scales offered for the PNG export.
+ * @private
+ * @type {Array<number>}
+ */
+const PNG_SCALES = [1, 2, 3, 4];
+
+/**
+ * Namespace of the exported SVG elements.
+ * @private
+ * @type {string}
+ */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Offers a file to the user as a download.
+ * @private
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Builds a standalone copy of a chart SVG: computed styles are inlined, canvas layers inside
+ * the container (the PCP lines) are embedded as images underneath, and HTML controls placed in
+ * `foreignObject`s are left out, as they do not render outside the page and would taint a PNG.
+ * @private
+ * @param {SVGSVGElement} svgNode - The chart SVG on the page.
+ * @param {HTMLElement} containerNode - The chart container, searched for canvas layers.
+ * @returns {{svg: SVGSVGElement, width: number, height: number}} The copy and its size in SVG units.
+ */
+function buildStandaloneSvg(svgNode, containerNode) {
+    const viewBox = svgNode.viewBox && svgNode.viewBox.baseVal;
+    const bounds = svgNode.getBoundingClientRect();
+    const width = (viewBox && viewBox.width) || bounds.width || 1;
+    const height = (viewBox && viewBox.height) || bounds.height || 1;
+
+    const copy = svgNode.cloneNode(true);
+    // Walk the original and the copy together, so each copied element gets its original's style
+    const originals = [svgNode, ...svgNode.querySelectorAll("*")];
+    const copies = [copy, ...copy.querySelectorAll("*")];
+    originals.forEach((original, i) => {
+        if (i === 0 || original.namespaceURI !== SVG_NAMESPACE) return;
+        const computed = window.getComputedStyle(original);
+        const inlined = INLINED_STYLE_PROPERTIES
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value !== "")
+            .map(([property, value]) => `${property}: ${value}`)
+            .join("; ");
+        copies[i].setAttribute("style", inlined); // Computed values already include inline styles
+    });
+    copy.querySelectorAll("foreignObject").forEach(node => node.remove());
+
+    copy.setAttribute("xmlns", SVG_NAMESPACE);
+    copy.setAttribute("width", width);
+    copy.setAttribute("height", height);
+    if (!copy.getAttribute("viewBox")) copy.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    copy.removeAttribute("class");
+    copy.removeAttribute("style");
+
+    const layers = document.createElementNS(SVG_NAMESPACE, "g");
+    const background = document.createElementNS(SVG_NAMESPACE, "rect");
+    background.setAttribute("width", width);
+    background.setAttribute("height", height);
+    background.setAttribute("fill", "#ffffff");
+    layers.appendChild(background);
+    containerNode.querySelectorAll("canvas").forEach(canvas => {
+        const image = document.createElementNS(SVG_NAMESPACE, "image");
+        image.setAttribute("width", canvas.clientWidth || canvas.width);
+        image.setAttribute("height", canvas.clientHeight || canvas.height);
+        image.setAttribute("href", canvas.toDataURL("image/png"));
+        layers.appendChild(image);
+    });
+    copy.insertBefore(layers, copy.firstChild);
+
+    return { svg: copy, width, height };
+}
+
+/**
+ * Serializes a standalone SVG to markup.
+ * @private
+ * @param {SVGSVGElement} svg - The standalone SVG.
+ * @returns {string} The SVG file contents.
+ */
+function serializeSvg(svg) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}
+
+/**
+ * Rasterizes a standalone SVG by drawing it onto a canvas.
+ * @private
+ * @param {SVGSVGElement} svg - The standalone SVG.
+ * @param {number} width - Width of the SVG in SVG units.
+ * @param {number} height - Height of the SVG in SVG units.
+ * @param {number} scale - Pixels per SVG unit.
+ * @returns {Promise<Blob>} The PNG image.
+ */
+function rasterizeSvg(svg, width, height, scale) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: "image/svg+xml" }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The PNG could not be encoded.")), "image/png");
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("The chart SVG could not be loaded as an image."));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Adds an "Export" menu to the top-right corner of a chart container. It downloads the chart
+ * as a standalone SVG (styles from `style.css` inlined) or as a PNG at the chosen scale, and
+ * the chart's current data (the Pokémon passing the dashboard filters) as CSV or JSON.
+ * While the chart lists Pokémon in its table (an HTML `foreignObject`, which the images would
+ * leave blank), only the data downloads are offered, holding the rows the table shows.
+ * The charts clear their container when they render, so call this after each render.
+ * @param {string} containerId - The CSS selector for the chart container.
+ * @param {Object} options - What to export.
+ * @param {string} options.fileName - Base name of the downloaded files, e.g. "ridgeline-plot".
+ * @param {function(): Array<Object>} options.getData - Returns the chart's current, filtered rows.
+ * @param {Array<string>} [options.columns] - Columns written to the data files, in order; defaults to the keys of the first row.
+ */
+export function createChartExportMenu(containerId, { fileName, getData, columns }) {
+    const container = d3.select(containerId);
+    if (container.empty()) {
+        console.error(`Container element "${containerId}" not found.`);
+        return;
+    }
+    container.select(".chart-export-menu").remove();
+
+    const menu = container.append("details").attr("class", "chart-export-menu");
+    menu.append("summary").attr("title", "Export this chart or its data").text("Export");
+    const options = menu.append("div").attr("class", "chart-export-options");
+
+    /**
+     * Returns the rows the chart shows: those listed in its Pokémon table (after the table's own
+     * filter text, in its order) if one is shown, else the chart's current data.
+     * @private
+     * @returns {Array<Object>} The rows.
+     */
+    function getShownRows() {
+        const table = container.select("svg .pokemon-table-wrapper");
+        return table.empty() ? getData() : table.selectAll("tr.pokemon-name-item").data();
+    }
+
+    /**
+     * Returns the shown rows, reduced to the exported columns.
+     * @private
+     * @returns {{rows: Array<Object>, keys: Array<string>}} The rows and their columns.
+     */
+    function getExportRows() {
+        const data = getShownRows();
+        const keys = columns || (data.length > 0 ? Object.keys(data[0]) : []);
+        return { rows: data.map(d => Object.fromEntries(keys.map(key => [key, d[key]]))), keys };
+    }
+
+    /**
+     * Returns the standalone copy of the chart's SVG, or null if the chart has none.
+     * @private
+     * @returns {{svg: SVGSVGElement, width: number, height: number}|null} The copy and its size.
+     */
+    function getStandaloneSvg() {
+        const svgNode = container.select("svg").node();
+        if (!svgNode) {
+            console.warn(`No chart to export in "${containerId}".`);
+            return null;
+        }
+        return buildStandaloneSvg(svgNode, container.node());
+    }
+
+    const tableNote = options.append("p").attr("class", "chart-export-note")
+        .style("display", "none")
+        .text("The Pokémon table exports as data only.");
+
+    const svgButton = options.append("button").attr("type", "button").text("SVG image")
+        .on("click", () => {
+            const standalone = getStandaloneSvg();
+            if (!standalone) return;
+            downloadBlob(new Blob([serializeSvg(standalone.svg)], { type: "image/svg+xml" }), `${fileName}.svg`);
+            menu.property("open", false);
+        });
+
+    const pngRow = options.append("div").attr("class", "chart-export-png");
+    const scaleSelect = pngRow.append("select").attr("aria-label", "PNG scale");
+    pngRow.insert("button", "select").attr("type", "button").text("PNG image")
+        .on("click", () => {
+            const standalone = getStandaloneSvg();
+            if (!standalone) return;
+            const scale = +scaleSelect.property("value");
+            rasterizeSvg(standalone.svg, standalone.width, standalone.height, scale)
+                .then(blob => downloadBlob(blob, `${fileName}@${scale}x.png`))
+                .catch(error => console.error(`Error exporting "${containerId}" as PNG:`, error));
+            menu.property("open", false);
+        });
+    scaleSelect.selectAll("option")
+        .data(PNG_SCALES)
+        .join("option")
+            .attr("value", d => d)
+            .text(d => `${d}×`);
+    scaleSelect.property("value", 2);
+
+    const csvButton = options.append("button").attr("type", "button")
+        .on("click", () => {
+            const { rows, keys } = getExportRows();
+            downloadBlob(new Blob([d3.csvFormat(rows, keys)], { type: "text/csv" }), `${fileName}.csv`);
+            menu.property("open", false);
+        });
+    const jsonButton = options.append("button").attr("type", "button")
+        .on("click", () => {
+            const { rows } = getExportRows();
+            downloadBlob(new Blob([JSON.stringify(rows, null, 2)], { type: "application/json" }), `${fileName}.json`);
+            menu.property("open", false);
+        });
+
+    // Whenever the menu opens, show how many rows the data files will hold, and offer the
+    // images only if no Pokémon table is shown
+    menu.on("toggle", () => {
+        if (!menu.property("open")) return;
+        const showsTable = !container.select("svg .pokemon-table-wrapper").empty();
+        tableNote.style("display", showsTable ? null : "none");
+        svgButton.style("display", showsTable ? "none" : null);
+        pngRow.style("display", showsTable ? "none" : null);
+        const count = getShownRows().length;
+        csvButton.text(`Data as CSV (${count} rows)`);
+        jsonButton.text(`Data as JSON (${count} rows)`);
+    });
+    csvButton.text("Data as CSV");
+    jsonButton.text("Data as JSON");
+}
@@ -0,0 +1,126 @@
+import { createDashboardStore } from './dashboardStore.js';
+import { STAT_COLUMNS, formatColumnLabel } from './pokemonSchema.js';
+
+/**
+ * Maximum number of Pokémon that can be pinned to the comparison tray.
+ * @type {number}
+ */
+export const MAX_COMPARED_POKEMON = 4;
+
+/**
+ * Color of each comparison slot, used by the tray and by the charts highlighting pinned Pokémon.
+ * Picked to stay distinguishable from each other regardless of the Pokémon's type colors.
+ * @type {Array<string>}
+ */
+export const COMPARISON_COLORS = ["#e41a1c", "#377eb8", "#4daf4a", "#984ea3"];
+
+/**
+ * Returns the slot color of a pinned Pokémon.
+ * @param {Array<string>} comparedPokemon - The `comparedPokemon` list from the store.
+ * @param {string} name - The Pokémon's `Name`.
+ * @returns {string|null} The slot color, or null if the Pokémon is not pinned.
+ */
+export function getComparisonColor(comparedPokemon, name) {
+    const slot = comparedPokemon.indexOf(name);
+    return slot === -1 ? null : COMPARISON_COLORS[slot];
+}
+
+/**
+ * Pins a Pokémon to the comparison tray, or unpins it if it is already there.
+ * @param {Object} store - The shared dashboard store.
+ * @param {string} name - The Pokémon's `Name`.
+ * @param {string|null} [source=null] - Name of the chart publishing the change.
+ * @returns {boolean} False if the tray is full and the Pokémon could not be pinned.
+ */
+export function toggleComparedPokemon(store, name, source = null) {
+    const { comparedPokemon } = store.getState();
+    if (comparedPokemon.includes(name)) {
+        store.update({ comparedPokemon: comparedPokemon.filter(n => n !== name) }, source);
+        return true;
+    }
+    if (comparedPokemon.length >= MAX_COMPARED_POKEMON) return false;
+    store.update({ comparedPokemon: comparedPokemon.concat(name) }, source);
+    return true;
+}
+
+/**
+ * Creates the comparison tray: a panel docked to the bottom right of the page listing the
+ * pinned Pokémon side by side, with one row per stat. The best value of each stat is marked
+ * as the winner and every other value shows its gap to it. The tray hides itself while empty.
+ * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
+ * @returns {{render: function(): void}} The tray API.
+ */
+export function createComparisonTray(data, store = createDashboardStore()) {
+    const body = d3.select("body");
+    body.selectAll(".comparison-tray").remove(); // Replace a previous instance
+
+    const tray = body.append("div")
+        .attr("class", "comparison-tray")
+        .style("display", "none"); // Shown once a Pokémon is pinned
+
+    const formatDiff = d3.format("+");
+
+    /**
+     * Rebuilds the tray from the pinned Pokémon in the store.
+     * @private
+     */
+    function render() {
+        const pinned = store.getState().comparedPokemon
+            .map(name => data.find(d => d.Name === name))
+            .filter(Boolean);
+        tray.style("display", pinned.length > 0 ? "block" : "none").html("");
+        if (pinned.length === 0) return;
+
+        // --- Header ---
+        const header = tray.append("div").attr("class", "comparison-tray-header");
+        header.append("strong").text(`Comparison (${pinned.length}/${MAX_COMPARED_POKEMON})`);
+        header.append("span").attr("class", "comparison-tray-hint")
+            .text(pinned.length < MAX_COMPARED_POKEMON ? "Shift-click a line or a name to pin more" : "Tray is full");
+        header.append("button").attr("class", "comparison-tray-clear").text("Clear")
+            .on("click", () => store.update({ comparedPokemon: [] }, "comparisonTray"));
+
+        // --- Stat table: one column per pinned Pokémon ---
+        const table = tray.append("table").attr("class", "comparison-table");
+        const headerRow = table.append("thead").append("tr");
+        headerRow.append("th").text("Stat");
+        pinned.forEach((pokemon, slot) => {
+            const th = headerRow.append("th");
+            th.append("span").attr("class", "comparison-swatch").style("background-color", COMPARISON_COLORS[slot]);
+            th.append("span").text(pokemon.Name);
+            th.append("button").attr("class", "comparison-remove").attr("title", `Unpin ${pokemon.Name}`).text("×")
+                .on("click", () => toggleComparedPokemon(store, pokemon.Name, "comparisonTray"));
+        });
+
+        const tableBody = table.append("tbody");
+        const wins = pinned.map(() => 0);
+        STAT_COLUMNS.concat("Total").forEach(stat => {
+            const best = d3.max(pinned, d => isNaN(d[stat]) ? undefined : d[stat]);
+            const row = tableBody.append("tr");
+            row.append("th").text(formatColumnLabel(stat));
+            pinned.forEach((pokemon, slot) => {
+                const value = pokemon[stat];
+                const isWinner = pinned.length > 1 && !isNaN(value) && value === best; // Ties share the win
+                if (isWinner && stat !== "Total") wins[slot]++;
+                const cell = row.append("td").classed("comparison-winner", isWinner);
+                cell.append("span").text(isNaN(value) ? "n/a" : value);
+                if (pinned.length > 1 && !isNaN(value) && !isWinner) {
+                    cell.append("span").attr("class", "comparison-diff").text(` (${formatDiff(value - best)})`);
+                }
+            });
+        });
+
+        if (pinned.length > 1) {
+            const winsRow = tableBody.append("tr").attr("class", "comparison-wins");
+            winsRow.append("th").text("Stats won");
+            wins.forEach(count => winsRow.append("td").text(`${count} / ${STAT_COLUMNS.length}`));
+        }
+    }
+
+    store.subscribe("comparisonTray", (state, changedKeys) => {
+        if (changedKeys.includes("comparedPokemon")) render();
+    });
+    render();
+
+    return { render };
+}
@@ -0,0 +1,234 @@
+/**
+ * @file Central filter/selection store shared by all dashboard charts.
+ * Each chart publishes its own filters into the store and subscribes to changes made by
+ * the others, so a selection in one view filters or highlights the same Pokémon everywhere.
+ */
+import { resolveRidgelineMetric } from './pokemonSchema.js';
+
+/**
+ * The state every new store starts from.
+ * @private
+ * @type {Object}
+ * @property {string|null} primaryType - Row value drilled into in the stacked bar chart (a primary type by
+ *                                       default), as a string.
+ * @property {string|null} secondaryType - Stack value drilled into in the stacked bar chart (requires `primaryType`).
+ * @property {string} stackedBarRowColumn - Categorical column the stacked bars are grouped by (see `CATEGORICAL_COLUMNS`).
+ * @property {string} stackedBarStackColumn - Categorical column the stacked bars are split by.
+ * @property {boolean} stackedBarNormalized - Whether the stacked bars show shares (100% bars) instead of counts.
+ * @property {string} stackedBarSort - Order of the stacked bars: "total", "alphabetical",
+ *                                     "stack" (count of `stackedBarSortValue`) or "mono" (share of "None").
+ * @property {string|null} stackedBarSortValue - Stack value counted by the "stack" sort.
+ * @property {Array<string>} hiddenStackValues - Stack values whose layers are toggled off in the stacked bar legend.
+ * @property {{column: string, descending: boolean}} pokemonTableSort - Order of the drill-down Pokémon tables.
+ * @property {string} topLeftView - Chart shown in the top-left slot: "stackedBar" or "heatmap".
+ * @property {string} heatmapMetric - What the type heatmap cells are colored by: "count", or a numeric column (its mean).
+ * @property {boolean} heatmapClustered - Whether the heatmap rows and columns are ordered by clustering instead of by name.
+ * @property {Array<string>|null} types - Primary types checked in the PCP. `null` means every type is checked.
+ * @property {Object<string, Array<number>>} brushes - PCP brush ranges keyed by dimension, as `[min, max]` values.
+ * @property {string|null} selectedPokemon - `Name` of the Pokémon currently selected in any chart.
+ * @property {Array<string>} comparedPokemon - `Name`s pinned to the comparison tray, in pinning order (at most four).
+ * @property {string} pcpScaleMode - "shared" (one y range for every PCP axis) or "independent" (one per axis).
+ * @property {Array<string>|null} pcpAxisOrder - PCP dimensions in display order. `null` keeps the default order.
+ * @property {Array<string>|null} pcpDimensions - Numeric columns plotted as PCP axes. `null` means the six battle stats.
+ * @property {number} generationIndex - Index of the group (a generation by default) shown by the ridgeline slider.
+ * @property {boolean} ridgelinePlaying - Whether the ridgeline group animation is running.
+ * @property {string} ridgelineMode - "single" (one animated group) or "all" (one overlapping ridge per group).
+ * @property {number} ridgelineOverlap - Peak height of a ridge in "all" mode, in bands (1 = ridges just touch).
+ * @property {string} kdeKernel - Ridgeline density kernel: "epanechnikov", "gaussian", "triangular" or "uniform".
+ * @property {string} kdeBandwidthMode - "manual", or a rule applied per generation: "silverman" or "scott".
+ * @property {number} kdeBandwidthPercent - Bandwidth used in "manual" mode, in percent of the x-axis range
+ *                                         (so it carries over between metrics).
+ * @property {string} ridgelineMetric - Numeric column whose distribution the ridgeline plot shows.
+ * @property {boolean} ridgelineLogScale - Log x-axis for the ridgeline (ignored for metrics with non-positive values).
+ * @property {string} ridgelineGroupBy - Categorical column the ridgeline groups by (see `CATEGORICAL_COLUMNS`).
+ * @property {string} ridgelineGroupSort - Order of the ridgeline groups: "key" (by name), "median" or "count".
+ * @property {Array<number>|null} ridgelineRange - `[min, max]` of `ridgelineMetric` brushed along the ridgeline's
+ *                                              x-axis; it filters the other charts. Cleared when the metric changes.
+ * @property {string|null} ridgelineBaselineGroup - Key of the ridgeline group pinned as the comparison baseline.
+ * @property {boolean} ridgelineDifference - Whether the ridgeline plots the density difference to the baseline.
+ * @property {number} ridgelinePlaybackSpeed - Speed factor of the ridgeline animation (1 = one group per second).
+ * @property {boolean} ridgelineLoop - Whether the ridgeline animation starts over after the last group.
+ * @property {boolean} ridgelineReverse - Whether the ridgeline animation runs from the last group to the first.
+ * @property {string} ridgelineEasing - Easing of the ridgeline curve transitions (a key of the ridgeline's easings).
+ * @property {boolean} showRug - Whether the ridgeline draws a rug mark per Pokémon under the curves.
+ * @property {Array<string>} ridgelineOverlays - Summary statistics drawn over the ridgeline densities:
+ *                                              any of "mean", "median", "quartiles", "iqr" and "boxplot".
+ */
+const DEFAULT_STATE = {
+    primaryType: null,
+    stackedBarRowColumn: "Type_1",
+    stackedBarStackColumn: "Type_2",
+    stackedBarNormalized: false,
+    stackedBarSort: "total",
+    stackedBarSortValue: null,
+    hiddenStackValues: [],
+    pokemonTableSort: { column: "Name", descending: false },
+    topLeftView: "stackedBar",
+    heatmapMetric: "count",
+    heatmapClustered: false,
+    secondaryType: null,
+    types: null,
+    brushes: {},
+    selectedPokemon: null,
+    comparedPokemon: [],
+    pcpScaleMode: "shared",
+    pcpAxisOrder: null,
+    pcpDimensions: null,
+    generationIndex: 0,
+    ridgelinePlaying: false,
+    ridgelineMode: "single",
+    ridgelineOverlap: 1.5,
+    kdeKernel: "epanechnikov",
+    kdeBandwidthMode: "manual",
+    kdeBandwidthPercent: 3,
+    showRug: false,
+    ridgelineOverlays: [],
+    ridgelineMetric: "Total",
+    ridgelineLogScale: false,
+    ridgelineGroupBy: "Generation",
+    ridgelineGroupSort: "key",
+    ridgelineRange: null,
+    ridgelineBaselineGroup: null,
+    ridgelineDifference: false,
+    ridgelinePlaybackSpeed: 1,
+    ridgelineLoop: false,
+    ridgelineReverse: false,
+    ridgelineEasing: "linear"
+};
+
+/**
+ * Filters owned by each chart, keyed by the source name the chart publishes under.
+ * `keys` lists the state properties the filter depends on, and `predicate` builds a row
+ * predicate from the state and the dataset being filtered (or returns null when the filter is inactive).
+ * @private
+ * @type {Object<string, {keys: Array<string>, predicate: function(Object, Array<Object>): (function(Object): boolean|null)}>}
+ */
+const FILTERS = {
+    stackedBar: {
+        keys: ["primaryType", "secondaryType", "stackedBarRowColumn", "stackedBarStackColumn"],
+        predicate: state => state.primaryType
+            ? d => String(d[state.stackedBarRowColumn]) === state.primaryType
+                && (!state.secondaryType || String(d[state.stackedBarStackColumn]) === state.secondaryType)
+            : null
+    },
+    pcp: {
+        keys: ["types", "brushes"],
+        predicate: state => {
+            if (!state.types && Object.keys(state.brushes).length === 0) return null;
+            return d => (!state.types || state.types.includes(d.Type_1)) && isWithinBrushes(d, state.brushes);
+        }
+    },
+    ridgeline: {
+        keys: ["ridgelineRange"], // The range is cleared whenever `ridgelineMetric` changes
+        predicate: (state, data) => {
+            if (!state.ridgelineRange) return null;
+            const metric = resolveRidgelineMetric(data, state.ridgelineMetric); // The column the ridgeline shows
+            return d => d[metric] >= state.ridgelineRange[0] && d[metric] <= state.ridgelineRange[1];
+        }
+    }
+};
+
+/**
+ * Checks a row against a set of brush ranges. Multiple brushes are combined with AND.
+ * @param {Object} d - A Pokémon row.
+ * @param {Object<string, Array<number>>} brushes - Brush ranges keyed by dimension, as `[min, max]` values.
+ * @returns {boolean} True if the row's value lies inside every brushed range.
+ */
+export function isWithinBrushes(d, brushes) {
+    return Object.entries(brushes).every(([dim, [min, max]]) => d[dim] >= min && d[dim] <= max);
+}
+
+/**
+ * Compares two state values. State values are primitives, arrays or plain objects,
+ * so a JSON comparison is enough.
+ * @private
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if both values serialize identically.
+ */
+function isSameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Creates a dashboard store. Listeners are registered with a name (usually the chart's
+ * source name), so a chart that re-renders simply replaces its previous listener.
+ * @param {Object} [initialState={}] - State properties overriding `DEFAULT_STATE`.
+ * @returns {{
+ *   getState: function(): Object,
+ *   update: function(Object, string=): void,
+ *   subscribe: function(string, function(Object, Array<string>, (string|null))): void,
+ *   unsubscribe: function(string): void,
+ *   filterData: function(Array<Object>, string=): Array<Object>,
+ *   filtersChanged: function(Array<string>, string=): boolean
+ * }} The store API.
+ */
+export function createDashboardStore(initialState = {}) {
+    let state = { ...DEFAULT_STATE, ...initialState };
+    const dispatcher = d3.dispatch("change");
+
+    return {
+        /**
+         * @returns {Object} The current (immutable) state snapshot.
+         */
+        getState() {
+            return state;
+        },
+
+        /**
+         * Merges `changes` into the state and notifies listeners if anything actually changed.
+         * @param {Object} changes - State properties to update.
+         * @param {string|null} [source=null] - Name of the chart publishing the change.
+         */
+        update(changes, source = null) {
+            const changedKeys = Object.keys(changes).filter(key => !isSameValue(state[key], changes[key]));
+            if (changedKeys.length === 0) return;
+            state = { ...state, ...changes };
+            dispatcher.call("change", null, state, changedKeys, source);
+        },
+
+        /**
+         * Registers a change listener, replacing any listener previously registered under `name`.
+         * @param {string} name - Listener name, e.g. "pcp".
+         * @param {function(Object, Array<string>, (string|null))} callback - Called with `(state, changedKeys, source)`.
+         */
+        subscribe(name, callback) {
+            dispatcher.on(`change.${name}`, callback);
+        },
+
+        /**
+         * Removes the listener registered under `name`.
+         * @param {string} name - Listener name.
+         */
+        unsubscribe(name) {
+            dispatcher.on(`change.${name}`, null);
+        },
+
+        /**
+         * Applies every active chart filter to `data`, optionally skipping one chart's own filter
+         * (a chart should show its own filter as a highlight, not drop the rows it filters out).
+         * @param {Array<Object>} data - The full Pokémon dataset.
+         * @param {string|null} [excludeSource=null] - Source name whose filter is skipped.
+         * @returns {Array<Object>} The rows passing every other filter.
+         */
+        filterData(data, excludeSource = null) {
+            const predicates = Object.entries(FILTERS)
+                .filter(([source]) => source !== excludeSource)
+                .map(([, filter]) => filter.predicate(state, data))
+                .filter(Boolean);
+            return predicates.length === 0 ? data : data.filter(d => predicates.every(predicate => predicate(d)));
+        },
+
+        /**
+         * Checks whether a change touched a filter owned by a chart other than `excludeSource`.
+         * @param {Array<string>} changedKeys - Keys reported by a change notification.
+         * @param {string|null} [excludeSource=null] - Source name whose filter keys are ignored.
+         * @returns {boolean} True if the filtered data of other charts may have changed.
+         */
+        filtersChanged(changedKeys, excludeSource = null) {
+            return Object.entries(FILTERS)
+                .filter(([source]) => source !== excludeSource)
+                .some(([, filter]) => filter.keys.some(key => changedKeys.includes(key)));
+        }
+    };
+}
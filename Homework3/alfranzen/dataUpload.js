@@ -0,0 +1,338 @@
+/**
+ * @file Loader for a user-supplied CSV or JSON file: a file picker plus drag-and-drop onto the
+ * page, and a dialog mapping the file's headers to the columns the charts expect.
+ */
+import { NUMERIC_COLUMNS, CATEGORICAL_COLUMNS, STAT_COLUMNS, formatColumnLabel } from './pokemonSchema.js';
+
+/**
+ * Columns the uploaded headers can be mapped to, in the sections of the mapping dialog.
+ * `Name` and `Type_1` are required, and at least `MIN_NUMERIC_COLUMNS` numeric columns must be mapped.
+ * @private
+ * @type {Array<{title: string, roles: Array<{column: string, label: string, required: (boolean|undefined)}>}>}
+ */
+const ROLE_SECTIONS = [
+    {
+        title: "Identity",
+        roles: [
+            { column: "Name", label: "Name", required: true },
+            { column: "Number", label: "Number (numbered in file order if unmapped)" }
+        ]
+    },
+    {
+        title: "Categories",
+        roles: [
+            { column: "Type_1", label: "Primary category", required: true },
+            { column: "Type_2", label: "Secondary category" },
+            { column: "Generation", label: "Group (ridgeline slider)" }
+        ]
+    },
+    {
+        title: "Numeric stats",
+        roles: STAT_COLUMNS.concat("Total").map(column => ({
+            column,
+            label: column === "Total" ? "Total (sum of the stats if unmapped)" : formatColumnLabel(column)
+        }))
+    },
+    {
+        title: "Other columns",
+        roles: [...new Set(NUMERIC_COLUMNS.concat(CATEGORICAL_COLUMNS))]
+            .filter(column => !["Total", "Generation", "Type_1", "Type_2", ...STAT_COLUMNS].includes(column))
+            .map(column => ({ column, label: formatColumnLabel(column) }))
+    }
+];
+
+/**
+ * Numeric columns that must be mapped, as the parallel coordinates plot needs two axes.
+ * @private
+ * @type {number}
+ */
+const MIN_NUMERIC_COLUMNS = 2;
+
+/**
+ * Other header spellings recognized when guessing the mapping (compared in `normalizeHeader` form).
+ * @private
+ * @type {Object<string, Array<string>>}
+ */
+const HEADER_SYNONYMS = {
+    Name: ["pokemon", "species"],
+    Number: ["id", "no", "dex", "pokedexnumber"],
+    Type_1: ["type", "primarytype", "category"],
+    Type_2: ["secondarytype", "subcategory"],
+    Generation: ["gen", "group"],
+    Sp_Atk: ["specialattack", "spatk"],
+    Sp_Def: ["specialdefense", "spdef"]
+};
+
+/**
+ * Reduces a header to lower-case letters and digits, so "Sp. Atk", "sp_atk" and "SpAtk" compare equal.
+ * @private
+ * @param {string} header - A column header.
+ * @returns {string} The normalized header.
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Guesses which header fills each column, by name, label or a known synonym.
+ * @private
+ * @param {Array<string>} headers - The headers of the uploaded file.
+ * @returns {Object<string, string>} Header per mapped column.
+ */
+function guessMapping(headers) {
+    const mapping = {};
+    ROLE_SECTIONS.flatMap(section => section.roles).forEach(({ column }) => {
+        const candidates = [column, formatColumnLabel(column), ...(HEADER_SYNONYMS[column] || [])].map(normalizeHeader);
+        const header = headers.find(h => candidates.includes(normalizeHeader(h)));
+        if (header !== undefined) mapping[column] = header;
+    });
+    return mapping;
+}
+
+/**
+ * Parses the text of an uploaded file into records: a CSV with a header row, or a JSON array
+ * of objects (also accepted under a `data` property).
+ * @private
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The file name, whose extension picks the format.
+ * @returns {{records: Array<Object>, headers: Array<string>}} The records and their headers.
+ * @throws {Error} If the file cannot be parsed or holds no records.
+ */
+function parseRecords(text, fileName) {
+    let records;
+    if (/\.json$/i.test(fileName)) {
+        const parsed = JSON.parse(text);
+        records = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+        if (!Array.isArray(records)) throw new Error("The JSON file must hold an array of objects.");
+        records = records.filter(record => record && typeof record === "object");
+    } else {
+        records = d3.csvParse(text);
+    }
+    if (records.length === 0) throw new Error("The file holds no rows.");
+    const headers = records.columns || [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { records, headers };
+}
+
+/**
+ * Renames the uploaded records' fields to the mapped columns and fills the ones the charts
+ * cannot do without: `Number` (file order), `Total` (sum of the mapped stats; left out if no
+ * stat is mapped, rather than a flat zero) and `Generation` (one "All" group). A missing `Type_2` becomes "None" when the rows are processed, as in the
+ * bundled CSV. Rows without a name are dropped.
+ * @private
+ * @param {Array<Object>} records - The parsed records.
+ * @param {Object<string, string>} mapping - Header per mapped column.
+ * @returns {Array<Object>} Rows in the bundled CSV's column names, with a `columns` property.
+ */
+function mapRecords(records, mapping) {
+    const mappedStats = STAT_COLUMNS.filter(stat => mapping[stat] !== undefined);
+    const hasTotal = mapping.Total !== undefined || mappedStats.length > 0;
+    const rows = records
+        .map((record, i) => {
+            const row = Object.fromEntries(Object.entries(mapping).map(([column, header]) => [column, record[header]]));
+            row.Name = row.Name === undefined || row.Name === null ? "" : String(row.Name).trim();
+            if (mapping.Number === undefined) row.Number = String(i + 1);
+            if (mapping.Total === undefined && hasTotal) row.Total = d3.sum(mappedStats, stat => +row[stat]);
+            if (mapping.Generation === undefined) row.Generation = "All";
+            return row;
+        })
+        .filter(row => row.Name !== "");
+    rows.columns = [...new Set(["Number", "Name", "Type_1", "Type_2", ...(hasTotal ? ["Total"] : []), "Generation", ...Object.keys(mapping)])];
+    return rows;
+}
+
+/**
+ * Creates the data loader: a "Load data…" button with a status line in the container, and a
+ * drop target covering the whole page. The chosen file is parsed (CSV, or JSON by its
+ * extension) and a dialog asks which of its headers fill the columns the charts expect,
+ * pre-filled with a guess from the header names. Confirming passes the mapped rows on.
+ * @param {string} containerId - The CSS selector for the element holding the button.
+ * @param {Object} options - Loader settings.
+ * @param {function(Array<Object>, string): void} options.onLoad - Called with the mapped rows (raw
+ *        values, like the rows `d3.csv` returns, with a `columns` property) and the file name.
+ * @returns {{openFilePicker: function(): void}} The loader API.
+ */
+export function createDataUploader(containerId, { onLoad }) {
+    const container = d3.select(containerId);
+    if (container.empty()) {
+        console.error(`Container element "${containerId}" not found.`);
+        return;
+    }
+    container.html(""); // Clear previous content
+
+    const fileInput = container.append("input")
+        .attr("type", "file")
+        .attr("accept", ".csv,.json,text/csv,application/json")
+        .style("display", "none")
+        .on("change", function() {
+            if (this.files.length > 0) readFile(this.files[0]);
+            this.value = ""; // Choosing the same file again still fires "change"
+        });
+    container.append("button")
+        .attr("type", "button")
+        .attr("class", "data-uploader-button")
+        .attr("title", "Load a CSV or JSON file, or drop one onto the page")
+        .text("Load data…")
+        .on("click", openFilePicker);
+    const status = container.append("span").attr("class", "data-uploader-status");
+
+    const body = d3.select("body");
+    body.selectAll(".data-mapping-overlay, .data-mapping-dialog").remove(); // Replace a previous instance
+    const overlay = body.append("div")
+        .attr("class", "data-mapping-overlay")
+        .style("display", "none")
+        .on("click", closeDialog);
+    const dialog = body.append("div")
+        .attr("class", "data-mapping-dialog")
+        .attr("role", "dialog")
+        .attr("aria-label", "Map the file's columns")
+        .style("display", "none")
+        .on("keydown", event => { if (event.key === "Escape") closeDialog(); });
+
+    /**
+     * Opens the browser's file picker.
+     */
+    function openFilePicker() {
+        fileInput.node().click();
+    }
+
+    /**
+     * Reads and parses a file, then opens the mapping dialog (or reports why it could not).
+     * @private
+     * @param {File} file - The chosen or dropped file.
+     */
+    function readFile(file) {
+        status.classed("error", false).text(`Reading ${file.name}…`);
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const { records, headers } = parseRecords(reader.result, file.name);
+                status.text("");
+                openDialog(records, headers, file.name);
+            } catch (error) {
+                console.warn(`Could not read ${file.name}:`, error);
+                status.classed("error", true).text(`Could not read ${file.name}: ${error.message}`);
+            }
+        };
+        reader.onerror = () => status.classed("error", true).text(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Builds and shows the mapping dialog for a parsed file.
+     * @private
+     * @param {Array<Object>} records - The parsed records.
+     * @param {Array<string>} headers - Their headers.
+     * @param {string} fileName - The file name, for the title and `onLoad`.
+     */
+    function openDialog(records, headers, fileName) {
+        const mapping = guessMapping(headers);
+        dialog.html("").style("display", null);
+        overlay.style("display", null);
+
+        dialog.append("h3").text(`Map the columns of ${fileName}`);
+        dialog.append("p").attr("class", "data-mapping-summary")
+            .text(`${records.length} rows, ${headers.length} columns. Choose the column filling each field; unmapped fields are left out of the charts.`);
+
+        const sections = dialog.append("div").attr("class", "data-mapping-sections");
+        ROLE_SECTIONS.forEach(section => {
+            const fieldset = sections.append("fieldset");
+            fieldset.append("legend").text(section.title);
+            section.roles.forEach(role => {
+                const label = fieldset.append("label").attr("class", "data-mapping-role");
+                label.append("span").text(role.label + (role.required ? " *" : ""));
+                const select = label.append("select")
+                    .attr("data-column", role.column)
+                    .on("change", function() {
+                        if (this.value) mapping[role.column] = this.value;
+                        else delete mapping[role.column];
+                        updateSample();
+                        validate();
+                    });
+                select.selectAll("option")
+                    .data([""].concat(headers))
+                    .join("option")
+                        .attr("value", header => header)
+                        .text(header => header || "— not in file —");
+                select.property("value", mapping[role.column] || "");
+                const sample = label.append("span").attr("class", "data-mapping-sample");
+
+                /**
+                 * Shows the first row's value of the mapped header as an example.
+                 * @private
+                 */
+                function updateSample() {
+                    const header = mapping[role.column];
+                    sample.text(header === undefined ? "" : `e.g. ${records[0][header] ?? ""}`);
+                }
+                updateSample();
+            });
+        });
+
+        const message = dialog.append("p").attr("class", "data-mapping-message");
+        const actions = dialog.append("div").attr("class", "data-mapping-actions");
+        actions.append("button").attr("type", "button").text("Cancel").on("click", closeDialog);
+        const loadButton = actions.append("button")
+            .attr("type", "button")
+            .attr("class", "data-mapping-load")
+            .text("Load dataset")
+            .on("click", () => {
+                const rows = mapRecords(records, { ...mapping });
+                if (rows.length === 0) {
+                    message.text("No row has a name in the mapped Name column.");
+                    return;
+                }
+                closeDialog();
+                status.classed("error", false).text(`Showing ${fileName} (${rows.length} rows)`);
+                onLoad(rows, fileName);
+            });
+
+        /**
+         * Enables loading once the required fields and enough numeric columns are mapped. `Generation`
+         * does not count, as it often holds labels.
+         * @private
+         */
+        function validate() {
+            const missing = ROLE_SECTIONS.flatMap(section => section.roles)
+                .filter(role => role.required && mapping[role.column] === undefined)
+                .map(role => role.label);
+            const numericCount = NUMERIC_COLUMNS.filter(column => column !== "Generation" && mapping[column] !== undefined).length;
+            if (numericCount < MIN_NUMERIC_COLUMNS) missing.push(`at least ${MIN_NUMERIC_COLUMNS} numeric columns (${numericCount} so far)`);
+            message.text(missing.length > 0 ? `Still to map: ${missing.join(", ")}.` : "");
+            loadButton.property("disabled", missing.length > 0);
+        }
+        validate();
+        dialog.select("select").node().focus();
+    }
+
+    /**
+     * Hides the mapping dialog without loading anything.
+     * @private
+     */
+    function closeDialog() {
+        dialog.style("display", "none").html("");
+        overlay.style("display", "none");
+    }
+
+    // --- Drag and drop anywhere on the page ---
+    let dragDepth = 0; // dragenter/dragleave also fire for every child element crossed
+    d3.select(document)
+        .on("dragenter.dataUploader", event => {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types || []).includes("Files")) return;
+            dragDepth += 1;
+            body.classed("data-drop-active", true);
+        })
+        .on("dragleave.dataUploader", () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) body.classed("data-drop-active", false);
+        })
+        .on("dragover.dataUploader", event => event.preventDefault()) // Allows dropping
+        .on("drop.dataUploader", event => {
+            event.preventDefault(); // Keeps the browser from opening the file
+            dragDepth = 0;
+            body.classed("data-drop-active", false);
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (file) readFile(file);
+        });
+
+    return { openFilePicker };
+}
@@ -0,0 +1,87 @@
+/**
+ * @file Kernel density estimation helpers for the ridgeline plot: kernel functions and
+ * automatic bandwidth rules.
+ */
+
+/**
+ * Available kernels. `create(h)` returns the kernel scaled to bandwidth `h` (the half-width
+ * of its support, or the standard deviation for the Gaussian). `gaussianEquivalent` converts a
+ * Gaussian bandwidth into the bandwidth giving this kernel the same amount of smoothing
+ * (ratio of canonical bandwidths), so the rule-of-thumb bandwidths work for every kernel.
+ * @type {Object<string, {label: string, gaussianEquivalent: number, create: function(number): function(number): number}>}
+ */
+export const KERNELS = {
+    epanechnikov: {
+        label: "Epanechnikov",
+        gaussianEquivalent: 2.214,
+        create: h => v => Math.abs(v /= h) <= 1 ? 0.75 * (1 - v * v) / h : 0
+    },
+    gaussian: {
+        label: "Gaussian",
+        gaussianEquivalent: 1,
+        create: h => v => Math.exp(-0.5 * (v / h) ** 2) / (h * Math.sqrt(2 * Math.PI))
+    },
+    triangular: {
+        label: "Triangular",
+        gaussianEquivalent: 2.432,
+        create: h => v => Math.abs(v /= h) <= 1 ? (1 - Math.abs(v)) / h : 0
+    },
+    uniform: {
+        label: "Uniform",
+        gaussianEquivalent: 1.740,
+        create: h => v => Math.abs(v / h) <= 1 ? 0.5 / h : 0
+    }
+};
+
+/**
+ * Automatic bandwidth rules for a Gaussian kernel. Each returns NaN when the sample has no spread.
+ * @type {Object<string, {label: string, compute: function(Array<number>): number}>}
+ */
+export const BANDWIDTH_RULES = {
+    silverman: {
+        label: "Silverman",
+        compute: values => {
+            const sd = d3.deviation(values);
+            const iqr = d3.quantile(values, 0.75) - d3.quantile(values, 0.25);
+            const spread = iqr > 0 ? Math.min(sd, iqr / 1.34) : sd;
+            return spread > 0 ? 0.9 * spread * Math.pow(values.length, -0.2) : NaN;
+        }
+    },
+    scott: {
+        label: "Scott",
+        compute: values => {
+            const sd = d3.deviation(values);
+            return sd > 0 ? 1.06 * sd * Math.pow(values.length, -0.2) : NaN;
+        }
+    }
+};
+
+/**
+ * Picks the bandwidth for a sample.
+ * @param {Array<number>} values - The sample (NaN-free).
+ * @param {Object} options - Bandwidth settings.
+ * @param {string} options.kernel - Key of `KERNELS`.
+ * @param {string} options.mode - "manual" or a key of `BANDWIDTH_RULES`.
+ * @param {number} options.manualBandwidth - Bandwidth used in "manual" mode, and as the fallback
+ *                                           when a rule cannot be applied (fewer than two distinct values).
+ * @returns {number} The bandwidth, in the units of the sample.
+ */
+export function selectBandwidth(values, { kernel, mode, manualBandwidth }) {
+    const rule = BANDWIDTH_RULES[mode];
+    if (!rule || values.length < 2) return manualBandwidth;
+    const gaussianBandwidth = rule.compute(values);
+    return isNaN(gaussianBandwidth) ? manualBandwidth : gaussianBandwidth * (KERNELS[kernel] || KERNELS.epanechnikov).gaussianEquivalent;
+}
+
+/**
+ * Estimates the density of a sample at the given points.
+ * @param {Array<number>} values - The sample (NaN-free, at least one value).
+ * @param {Array<number>} points - Positions at which to evaluate the density.
+ * @param {string} kernel - Key of `KERNELS`.
+ * @param {number} bandwidth - Kernel bandwidth.
+ * @returns {Array<Array<number>>} `[point, density]` pairs.
+ */
+export function estimateDensity(values, points, kernel, bandwidth) {
+    const kernelFn = (KERNELS[kernel] || KERNELS.epanechnikov).create(bandwidth);
+    return points.map(x => [x, d3.mean(values, v => kernelFn(x - v))]);
+}
@@ -5,8 +5,22 @@
 
 // Import the plotting functions from their component files
 import { createStackedBarChart } from './stackedBarChart.js';
+import { createTypeHeatmap } from './typeHeatmap.js';
 import { createRidgelinePlot } from './ridgelinePlot.js';
 import { createParallelCoordinatesPlot } from './parallelCoordinatesPlot.js';
+import { createDashboardStore } from './dashboardStore.js';
+import { NUMERIC_COLUMNS, CATEGORICAL_COLUMNS } from './pokemonSchema.js';
+import { createLocalSpriteProvider, createPokeApiSpriteProvider, createChainedSpriteProvider } from './spriteProvider.js';
+import { createPokemonDetailModal } from './pokemonDetailModal.js';
+import { createComparisonTray } from './comparisonTray.js';
+import { createPokemonSearch } from './pokemonSearch.js';
+import { createChartExportMenu } from './chartExport.js';
+import { createDataUploader } from './dataUpload.js';
+import { parseDashboardHash, bindDashboardStateToUrl } from './urlHashState.js';
+
+// Sprites are read from the bundled manifest so the dashboard works offline.
+// Set to true to fall back to PokeAPI artwork for Pokémon missing from the manifest.
+const USE_POKEAPI_SPRITES = false;
 
 // --- Debounce function ---
 /**
@@ -33,28 +47,73 @@ function debounce(func, wait, immediate) {
 };
 
 
+// --- Top-left slot views ---
+/**
+ * Charts selectable in the top-left slot, keyed by their `topLeftView` value. Each key is
+ * also the name the chart subscribes to the store under; `fileName` names its exports.
+ * @type {Object<string, {label: string, fileName: string, create: Function}>}
+ */
+const TOP_LEFT_VIEWS = {
+    stackedBar: { label: "Stacked Bar Chart", fileName: "pokemon-stacked-bar-chart", create: createStackedBarChart },
+    heatmap: { label: "Type Heatmap", fileName: "pokemon-type-heatmap", create: createTypeHeatmap }
+};
+
+// --- Export menus ---
+/**
+ * Adds the export menu to a chart container. Every chart shows the Pokémon passing the
+ * dashboard filters, so that is the data each menu exports, in the CSV's column order
+ * (while a chart shows its Pokémon table, the menu exports the table's rows instead).
+ * @param {string} containerId - The CSS selector for the chart container.
+ * @param {string} fileName - Base name of the downloaded files.
+ * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {Object} store - The shared dashboard store (see `dashboardStore.js`).
+ */
+function addExportMenu(containerId, fileName, data, store) {
+    createChartExportMenu(containerId, { fileName, getData: () => store.filterData(data), columns: data.columns });
+}
+
 // --- Plotting function ---
 /**
- * Renders all the charts (Stacked Bar Chart, Ridgeline Plot, Parallel Coordinates Plot)
- * into their respective containers. Clears previous SVGs before redrawing.
+ * Renders the chart chosen by `topLeftView` into the top-left slot. The other views' store
+ * listeners are removed, so they no longer redraw into the slot.
  * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {Object} store - The shared dashboard store (see `dashboardStore.js`).
+ * @param {Object} [options={}] - Settings passed through to the chart, e.g. `detailModal`.
  */
-function renderPlots(data) {
-    console.log("Attempting to render plots...");
+function renderTopLeftChart(data, store, options = {}) {
+    const { topLeftView } = store.getState();
+    const viewKey = TOP_LEFT_VIEWS[topLeftView] ? topLeftView : "stackedBar";
+    const view = TOP_LEFT_VIEWS[viewKey];
     try {
+        Object.keys(TOP_LEFT_VIEWS).filter(key => key !== viewKey).forEach(key => store.unsubscribe(key));
         // Clear previous SVGs before redrawing
         d3.select("#topLeftChart").select("svg").remove();
-        createStackedBarChart(data, "#topLeftChart");
-        console.log("Stacked Bar Chart rendered.");
+        view.create(data, "#topLeftChart", store, options);
+        addExportMenu("#topLeftChart", view.fileName, data, store);
+        console.log(`${view.label} rendered.`);
     } catch (error) {
-        console.error("Error rendering Stacked Bar Chart:", error);
+        console.error(`Error rendering ${view.label}:`, error);
          d3.select("#topLeftChart").html(`<p style="color:red; padding:10px;">Chart Error: ${error.message}</p>`);
     }
+}
+
+/**
+ * Renders all the charts (the top-left view, Ridgeline Plot, Parallel Coordinates Plot)
+ * into their respective containers. Clears previous SVGs before redrawing.
+ * All charts share one store, so filters and selections survive a re-render.
+ * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {Object} store - The shared dashboard store (see `dashboardStore.js`).
+ * @param {Object} [options={}] - Settings passed through to the charts, e.g. `detailModal`.
+ */
+function renderPlots(data, store, options = {}) {
+    console.log("Attempting to render plots...");
+    renderTopLeftChart(data, store, options);
 
     try {
         // Clear previous SVGs before redrawing
         d3.select("#bottomLeftChart").select("svg").remove();
-        createRidgelinePlot(data, "#bottomLeftChart");
+        createRidgelinePlot(data, "#bottomLeftChart", store);
+        addExportMenu("#bottomLeftChart", "pokemon-ridgeline-plot", data, store);
          console.log("Ridgeline Plot rendered.");
     } catch (error) {
         console.error("Error rendering Ridgeline Plot:", error);
@@ -64,7 +123,8 @@ function renderPlots(data) {
     try {
         // Clear previous SVGs before redrawing
         d3.select("#rightChart").select("svg").remove();
-        createParallelCoordinatesPlot(data, "#rightChart");
+        createParallelCoordinatesPlot(data, "#rightChart", store, options);
+        addExportMenu("#rightChart", "pokemon-parallel-coordinates", data, store);
          console.log("Parallel Coordinates Plot rendered.");
     } catch (error) {
         console.error("Error rendering Parallel Coordinates Plot:", error);
@@ -73,96 +133,213 @@ function renderPlots(data) {
 }
 
 
+// --- Data preprocessing ---
+/**
+ * Reads a yes/no value: "True" in the bundled CSV, but uploaded files may use true, "true", "yes" or 1.
+ * @param {*} value - The raw value.
+ * @returns {boolean|undefined} The boolean, or undefined if the column is missing.
+ */
+function parseBoolean(value) {
+    if (value === undefined || value === null) return undefined;
+    return ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Converts the raw rows (strings, as parsed by `d3.csv`) to their types in place, handles
+ * missing values, and logs processing information. Used for the bundled CSV and for uploaded
+ * files once their headers are mapped (see `dataUpload.js`); columns a file lacks stay
+ * undefined (NaN if numeric), so the charts leave them out.
+ * @param {Array<Object>} data - The raw rows, with a `columns` property listing the columns present.
+ * @returns {Array<Object>} The same rows, processed.
+ */
+function processPokemonData(data) {
+    const columns = data.columns || NUMERIC_COLUMNS.concat(CATEGORICAL_COLUMNS);
+    const presentNumericColumns = NUMERIC_COLUMNS.filter(col => columns.includes(col));
+
+    // Data type conversion and correction based on actual CSV headers
+    data.forEach((d, i) => { // Add index i for better error reporting
+        // Convert numerical columns to numbers
+        // Use parseFloat for potentially non-integer numbers
+        d.Total = +d.Total;
+        d.HP = +d.HP;
+        d.Attack = +d.Attack;
+        d.Defense = +d.Defense;
+        d.Sp_Atk = +d.Sp_Atk;
+        d.Sp_Def = +d.Sp_Def;
+        d.Speed = +d.Speed;
+        // Generations are numbers in the bundled CSV; an uploaded file may group by labels instead
+        if (d.Generation !== undefined) {
+            d.Generation = d.Generation !== "" && !isNaN(d.Generation) ? +d.Generation : String(d.Generation);
+        }
+        d.Height_m = parseFloat(d.Height_m); 
+        d.Weight_kg = parseFloat(d.Weight_kg); 
+        d.Catch_Rate = +d.Catch_Rate;
+        d.Pr_Male = parseFloat(d.Pr_Male); 
+
+        // Convert boolean-like strings to booleans
+        d.isLegendary = parseBoolean(d.isLegendary);
+        d.hasGender = parseBoolean(d.hasGender);
+        d.hasMegaEvolution = parseBoolean(d.hasMegaEvolution);
+
+        // Handle missing Type 2 - Assign a consistent "None" value
+        if (!d.Type_2 || String(d.Type_2).trim() === "") {
+            d.Type_2 = "None";
+        } else {
+            d.Type_2 = String(d.Type_2).trim(); // Ensure no leading/trailing spaces
+        }
+         // Trim Type 1 as well
+         if (d.Type_1) d.Type_1 = String(d.Type_1).trim();
+        // Same "None" value for a missing second egg group, so it can be grouped by
+        if (columns.includes('Egg_Group_2')) {
+            d.Egg_Group_2 = d.Egg_Group_2 && String(d.Egg_Group_2).trim() !== "" ? String(d.Egg_Group_2).trim() : "None";
+        }
+
+
+        // Check for NaN values after conversion (important!)
+        presentNumericColumns.forEach(col => {
+            if (typeof d[col] === 'number' && isNaN(d[col])) {
+                // Log specific Pokemon and the problematic column/value
+                console.warn(`NaN found in row ${i + 2} (Pokemon: ${d.Name || d.Number || 'Unknown'}), column '${col}'. Original value: '${d[col]}' forced to NaN.`);
+                // Decide handling: Here we leave it as NaN, plots should filter/handle it.
+                // Alternatively, set a default: d[col] = 0; // (Use with caution)
+            }
+        });
+    });
+
+    console.log("Data processed. Sample:", data[0]);
+    console.log(`Total records processed: ${data.length}`);
+    return data;
+}
+
+/**
+ * Store values that refer to one dataset's Pokémon, categories or groups. They are reset when
+ * a file is loaded; view settings (chart type, metrics, scales) carry over.
+ * @type {Object}
+ */
+const DATASET_STATE_RESET = {
+    primaryType: null,
+    secondaryType: null,
+    stackedBarRowColumn: "Type_1",
+    stackedBarStackColumn: "Type_2",
+    stackedBarSortValue: null,
+    hiddenStackValues: [],
+    types: null,
+    brushes: {},
+    pcpDimensions: null,
+    pcpAxisOrder: null,
+    selectedPokemon: null,
+    comparedPokemon: [],
+    generationIndex: 0,
+    ridgelinePlaying: false,
+    ridgelineRange: null,
+    ridgelineBaselineGroup: null,
+    ridgelineDifference: false
+};
+
+
 // Wait for the DOM to load
 document.addEventListener("DOMContentLoaded", function() {
     /**
      * Main execution block after the DOM is fully loaded.
-     * Fetches, processes, and then renders Pokémon data into charts.
+     * Fetches, processes, and then renders Pokémon data into charts, and lets the user
+     * replace the data with a file of their own.
      * Sets up a resize listener to make charts responsive.
      */
     console.log("DOM Loaded. Fetching data...");
 
+    // --- Shared Filter/Selection Store (restored from the URL hash, kept in sync with it) ---
+    const store = createDashboardStore(parseDashboardHash(window.location.hash));
+    bindDashboardStateToUrl(store);
+
+    // --- Sprite Provider (created once so its cache survives re-renders) ---
+    const spriteProvider = USE_POKEAPI_SPRITES
+        ? createChainedSpriteProvider(createLocalSpriteProvider(), createPokeApiSpriteProvider())
+        : createLocalSpriteProvider();
+
+    // The dataset on screen and its detail panel, replaced when a file is loaded
+    let currentData = null;
+    let detailModal = null;
+
+    /**
+     * Builds the panels that depend on the dataset and renders every chart with it.
+     * @param {Array<Object>} data - The processed dataset.
+     */
+    function showDataset(data) {
+        currentData = data;
+
+        // --- Pokémon Detail Panel (shared by the charts, survives re-renders) ---
+        detailModal = createPokemonDetailModal(data, store, { spriteProvider });
+
+        // --- Comparison Tray (pinned Pokémon, shift-click in the PCP or the stacked bar list) ---
+        createComparisonTray(data, store);
+
+        // --- Header Search (selects the picked Pokémon in every chart) ---
+        createPokemonSearch(data, "#pokemonSearch", store);
+
+        renderPlots(data, store, { detailModal });
+    }
+
+    // --- Top-Left View Switcher (stacked bar chart or type heatmap) ---
+    const viewSelect = d3.select("#topLeftViewSelect")
+        .on("change", function() { store.update({ topLeftView: this.value }, "viewSwitcher"); });
+    viewSelect.selectAll("option")
+        .data(Object.entries(TOP_LEFT_VIEWS))
+        .join("option")
+            .attr("value", ([key]) => key)
+            .text(([, view]) => view.label);
+    viewSelect.property("value", store.getState().topLeftView);
+    store.subscribe("viewSwitcher", (state, changedKeys) => {
+        if (!changedKeys.includes("topLeftView")) return;
+        viewSelect.property("value", state.topLeftView);
+        if (currentData) renderTopLeftChart(currentData, store, { detailModal });
+    });
+
+    // --- Data Loader (file picker or drop onto the page, then the column mapping dialog) ---
+    createDataUploader("#dataUploader", {
+        onLoad: (rows, fileName) => {
+            console.log(`${fileName} loaded. Processing...`);
+            // Keeps the view switcher and the resize handler off the old dataset. The old charts are
+            // still subscribed, so they redraw once on the reset below before `showDataset` replaces them.
+            currentData = null;
+            store.update(DATASET_STATE_RESET, "dataUploader");
+            showDataset(processPokemonData(rows));
+        }
+    });
+
+    // --- Setup Resize Listener ---
+    /**
+     * Event listener for window resize events.
+     * Calls the renderPlots function (debounced) to redraw charts
+     * ensuring responsiveness.
+     */
+    window.addEventListener("resize", debounce(() => {
+        if (!currentData) return;
+        console.log("Window resized, re-rendering all plots…");
+        renderPlots(currentData, store, { detailModal });
+      }, 250));
+
     // --- Data Loading and Preprocessing ---
     d3.csv("pokemon.csv").then(function(data) {
         /**
          * Callback function executed after successfully loading and parsing 'pokemon.csv'.
-         * Performs data type conversions, handles missing values, and logs processing information.
+         * Processes the rows and renders the dashboard.
          * @param {Array<Object>} data - The raw data loaded from the CSV file.
          */
         console.log("Data fetched. Processing...");
-
-        // Data type conversion and correction based on actual CSV headers
-        data.forEach((d, i) => { // Add index i for better error reporting
-            // Convert numerical columns to numbers
-            // Use parseFloat for potentially non-integer numbers
-            d.Total = +d.Total;
-            d.HP = +d.HP;
-            d.Attack = +d.Attack;
-            d.Defense = +d.Defense;
-            d.Sp_Atk = +d.Sp_Atk;
-            d.Sp_Def = +d.Sp_Def;
-            d.Speed = +d.Speed;
-            d.Generation = +d.Generation;
-            d.Height_m = parseFloat(d.Height_m); 
-            d.Weight_kg = parseFloat(d.Weight_kg); 
-            d.Catch_Rate = +d.Catch_Rate;
-            d.Pr_Male = parseFloat(d.Pr_Male); 
-
-            // Convert boolean-like strings to booleans
-            // Be explicit: check against 'True' case-sensitive from CSV
-            d.isLegendary = d.isLegendary === 'True';
-            d.hasGender = d.hasGender === 'True';
-            d.hasMegaEvolution = d.hasMegaEvolution === 'True';
-
-            // Handle missing Type 2 - Assign a consistent "None" value
-            if (!d.Type_2 || String(d.Type_2).trim() === "") {
-                d.Type_2 = "None";
-            } else {
-                d.Type_2 = String(d.Type_2).trim(); // Ensure no leading/trailing spaces
-            }
-             // Trim Type 1 as well
-             if (d.Type_1) d.Type_1 = String(d.Type_1).trim();
-
-
-            // Check for NaN values after conversion (important!)
-            const numericalColumns = ['Total', 'HP', 'Attack', 'Defense', 'Sp_Atk', 'Sp_Def', 'Speed', 'Generation', 'Height_m', 'Weight_kg', 'Catch_Rate', 'Pr_Male'];
-            numericalColumns.forEach(col => {
-                if (isNaN(d[col])) {
-                    // Log specific Pokemon and the problematic column/value
-                    console.warn(`NaN found in row ${i + 2} (Pokemon: ${d.Name || d.Number || 'Unknown'}), column '${col}'. Original value: '${d[col]}' forced to NaN.`);
-                    // Decide handling: Here we leave it as NaN, plots should filter/handle it.
-                    // Alternatively, set a default: d[col] = 0; // (Use with caution)
-                }
-            });
-        });
-
-        console.log("Data processed. Sample:", data[0]);
-        console.log(`Total records processed: ${data.length}`);
-
-        // --- Initial Plot Rendering ---
-        renderPlots(data);
-
-        // --- Setup Resize Listener ---
-        /**
-         * Event listener for window resize events.
-         * Calls the renderPlots function (debounced) to redraw charts
-         * ensuring responsiveness.
-         */
-        window.addEventListener("resize", debounce(() => {
-            console.log("Window resized, re-rendering all plots…");
-            renderPlots(data);
-          }, 250));
-
+        // A file loaded while the bundled CSV was still being fetched wins
+        if (!currentData) showDataset(processPokemonData(data));
 
     }).catch(function(error) {
         /**
          * Callback function executed if there's an error loading or parsing 'pokemon.csv'.
-         * Logs the error and displays a fatal error message to the user.
+         * Logs the error and explains it in the chart placeholders; the data loader stays usable.
          * @param {Error} error - The error object.
          */
         console.error("Error loading or parsing data (pokemon.csv):", error);
-        // Display error message in the body or a specific div
-        document.body.innerHTML = `<p style="color:red; font-size: 16px; padding: 20px;"><b>Fatal Error:</b> Could not load or parse pokemon.csv. Please check the file path and format. Details: ${error.message}</p>`;
+        if (currentData) return; // A loaded file is already on screen
+        d3.selectAll(".chart-placeholder")
+            .classed("chart-load-error", true)
+            .text(`Could not load or parse pokemon.csv (${error.message}). Load a CSV or JSON file with "Load data…" or drop one onto the page.`);
     });
 
-}); 
+});
@@ -1,3 +1,9 @@
+import { createDashboardStore, isWithinBrushes } from './dashboardStore.js';
+import { NUMERIC_COLUMNS, STAT_COLUMNS, getAvailableColumns, formatColumnLabel } from './pokemonSchema.js';
+import { createPcpLineLayer } from './pcpLineLayer.js';
+import { createPokemonDetailModal } from './pokemonDetailModal.js';
+import { getComparisonColor, toggleComparedPokemon } from './comparisonTray.js';
+
 // Helper for d3.selection.prototype.styles
 if (!d3.selection.prototype.styles) {
     /**
@@ -33,14 +39,24 @@ if (!d3.selection.prototype.styles) {
 
 /**
  * Creates a Parallel Coordinates Plot showing relationships between numeric stats.
+ * The Type_1 checkboxes and the clicked Pokémon are published to the shared store, and
+ * the plotted lines follow the filters published by the other charts.
+ * The axes default to the six battle stats; any column in `NUMERIC_COLUMNS` can be added with
+ * the dimension picker. Missing (NaN) values leave a gap in a line instead of dropping the Pokémon.
+ * Lines are drawn on a canvas under the SVG axes (see `pcpLineLayer.js`); only the hovered and
+ * selected lines are SVG paths.
  * @param {Array<Object>} data - The processed Pokemon dataset. Each object should contain
  *                               at least the `Name`, `Type_1`, and the numeric stat
  *                               properties: `HP`, `Attack`, `Defense`, `Sp_Atk`, `Sp_Def`, `Speed`.
  *                               `Type_2` is optional.
  * @param {string} containerId - The CSS selector for the HTML div where the chart will be rendered.
  *                               Example: "#pcp-container".
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
+ * @param {Object} [options={}] - Optional settings.
+ * @param {{open: function(Object, Object=): Promise<void>}} [options.detailModal] - Detail panel opened when a line
+ *        is clicked (see `pokemonDetailModal.js`). Defaults to a new modal using the offline sprite provider.
  */
-export function createParallelCoordinatesPlot(data, containerId) {
+export function createParallelCoordinatesPlot(data, containerId, store = createDashboardStore(), { detailModal = createPokemonDetailModal(data, store) } = {}) {
     const mainContainer = d3.select(containerId);
     mainContainer.html("");
 
@@ -62,51 +78,56 @@ export function createParallelCoordinatesPlot(data, containerId) {
         .style("text-decoration", "underline")
         .text("Pokémon Stat Comparison");
 
+    const brushCountLabel = titleWrapper.append("p")
+        .attr("class", "pcp-brush-count")
+        .style("margin", "2px 0 0 0")
+        .style("font-size", "0.85em")
+        .style("color", "#555");
+
     const controlsWrapper = mainContainer.append("div")
         .attr("class", "pcp-controls-wrapper")
         .style("padding", "5px")
         .style("flex-shrink", "0");
 
+    const optionsWrapper = mainContainer.append("div")
+        .attr("class", "pcp-options-wrapper")
+        .style("padding", "0 5px 5px 5px")
+        .style("display", "flex")
+        .style("flex-wrap", "wrap")
+        .style("align-items", "center")
+        .style("gap", "10px")
+        .style("font-size", "0.85em")
+        .style("flex-shrink", "0");
+
     const chartWrapper = mainContainer.append("div")
         .attr("class", "pcp-chart-wrapper")
         .style("width", "100%")
         .style("flex-grow", "1")
         .style("min-height", "0")
+        .style("position", "relative") // Canvas line layer and SVG axes are stacked inside
         .style("overflow", "hidden");
 
-    // --- Overlay for Modal ---
-    const overlay = mainContainer.append("div")
-        .attr("class", "pcp-modal-overlay")
-        .style("position", "fixed")
-        .style("top", "0")
-        .style("left", "0")
-        .style("width", "100%")
-        .style("height", "100%")
-        .style("background-color", "rgba(0,0,0,0.5)")
-        .style("z-index", "999") // Below modal, above everything else
-        .style("display", "none"); // Initially hidden
-
-    // --- Pokémon Info Display Wrapper (Modal) ---
-    const pokemonInfoWrapper = mainContainer.append("div")
-        .attr("class", "pcp-pokemon-info-wrapper")
-        .style("position", "fixed")
-        .style("top", "50%")
-        .style("left", "50%")
-        .style("transform", "translate(-50%, -50%)")
-        .style("background-color", "#ffffff")
-        .style("padding", "25px") // Increased padding
-        .style("border", "1px solid #ccc")
-        .style("border-radius", "8px")
-        .style("box-shadow", "0 5px 15px rgba(0,0,0,0.3)")
-        .style("z-index", "1000") // On top of overlay
-        .style("min-width", "350px")
-        .style("max-width", "calc(100vw - 40px)") // Ensure some viewport margin
-        .style("max-height", "calc(100vh - 40px)")
-        .style("overflow-y", "auto")
-        .style("display", "none"); // Initially hidden
-
-    const dimensions = ['HP', 'Attack', 'Defense', 'Sp_Atk', 'Sp_Def', 'Speed'];
-    const allValidPokemonData = data.filter(d => dimensions.every(dim => d[dim] !== undefined && !isNaN(d[dim])));
+    const tooltip = chartWrapper.append("div")
+        .attr("class", "pcp-tooltip")
+        .style("display", "none");
+
+    const dimensionOptions = getAvailableColumns(data, NUMERIC_COLUMNS, { numeric: true }); // Columns this dataset has values for
+
+    /**
+     * Returns the dimensions chosen in the picker (the battle stats by default), in `NUMERIC_COLUMNS` order.
+     * If fewer than two of them exist in this dataset (e.g. an upload without the battle stats), the
+     * first available numeric columns are used instead, as a parallel coordinates plot needs two axes.
+     * @private
+     * @returns {Array<string>} The active dimension names.
+     */
+    function getActiveDimensions() {
+        const chosen = store.getState().pcpDimensions || STAT_COLUMNS;
+        const available = dimensionOptions.filter(col => chosen.includes(col));
+        return available.length >= 2 ? available : dimensionOptions.slice(0, STAT_COLUMNS.length);
+    }
+    let dimensions = getActiveDimensions();
+    // Keep every Pokémon with at least one numeric value; NaN values are drawn as gaps per axis.
+    const allValidPokemonData = data.filter(d => NUMERIC_COLUMNS.some(col => d[col] !== undefined && !isNaN(d[col])));
 
     if (allValidPokemonData.length === 0) {
         console.warn(`No valid data found for Parallel Coordinates plot in ${containerId}.`);
@@ -119,7 +140,10 @@ export function createParallelCoordinatesPlot(data, containerId) {
     const palette = d3.schemeCategory10.concat(d3.schemeSet3);
     const colorScale = d3.scaleOrdinal()
         .domain(primaryTypesForSelector)
-        .range(palette.slice(1, primaryTypesForSelector.length + 1)); // Start from the 2nd color
+        .range(primaryTypesForSelector.length < palette.length
+            ? palette.slice(1, primaryTypesForSelector.length + 1) // Start from the 2nd color
+            // Too many categories (uploaded data) for the palette; the rainbow is cyclic, so drop its repeated end
+            : d3.quantize(d3.interpolateRainbow, primaryTypesForSelector.length + 1).slice(0, -1));
 
     /**
      * Determines an appropriate text color (black or white) based on the luminance of a background color.
@@ -150,7 +174,7 @@ export function createParallelCoordinatesPlot(data, containerId) {
         .on("click", () => {
             controlsWrapper.selectAll("label").style("opacity", 1.0);
             controlsWrapper.selectAll("input[type=checkbox]").property("checked", true);
-            updatePlot();
+            publishCheckedTypes();
         });
 
     controlsWrapper.append("button").text("Deselect All").style("margin-left", "5px")
@@ -160,9 +184,58 @@ export function createParallelCoordinatesPlot(data, containerId) {
         .on("click", () => {
             controlsWrapper.selectAll("label").style("opacity", 0.5);
             controlsWrapper.selectAll("input[type=checkbox]").property("checked", false);
-            updatePlot();
+            publishCheckedTypes();
         });
 
+    controlsWrapper.append("button").text("Clear Brushes").style("margin-left", "5px")
+        .each(function() { d3.select(this).styles(buttonBaseStyle); })
+        .on("mouseover", function() { d3.select(this).styles(buttonHoverStyle); })
+        .on("mouseout", function() { d3.select(this).styles(buttonBaseStyle); })
+        .on("click", () => store.update({ brushes: {} })); // No source, so this chart redraws without brushes
+
+    const scaleModeLabel = optionsWrapper.append("label").text("Axis scales: ");
+    scaleModeLabel.append("select")
+        .attr("class", "pcp-scale-mode")
+        .on("change", function() { store.update({ pcpScaleMode: this.value }, "pcp"); })
+        .selectAll("option")
+        .data([{ value: "shared", label: "Shared range" }, { value: "independent", label: "Per axis" }])
+        .join("option")
+            .attr("value", d => d.value)
+            .property("selected", d => d.value === store.getState().pcpScaleMode)
+            .text(d => d.label);
+
+    // --- Dimension Picker (any numeric column; at least two must stay selected) ---
+    const dimensionPicker = optionsWrapper.append("details").attr("class", "pcp-dimension-picker");
+    const dimensionPickerSummary = dimensionPicker.append("summary");
+    const dimensionPickerMenu = dimensionPicker.append("div").attr("class", "pcp-dimension-picker-menu");
+    dimensionOptions.forEach(col => {
+        const option = dimensionPickerMenu.append("label");
+        option.append("input").attr("type", "checkbox").attr("value", col)
+            .on("change", function() {
+                const chosen = [];
+                dimensionPickerMenu.selectAll("input:checked").each(function() { chosen.push(this.value); });
+                if (chosen.length < 2) { // A parallel coordinates plot needs two axes
+                    this.checked = true;
+                    return;
+                }
+                // Brushes on removed axes no longer apply.
+                const brushes = Object.fromEntries(Object.entries(activeBrushes).filter(([dim]) => chosen.includes(dim)));
+                store.update({ pcpDimensions: chosen, brushes }, "pcp");
+            });
+        option.append("span").text(formatColumnLabel(col));
+    });
+
+    /**
+     * Sets the picker checkboxes and summary from the active dimensions.
+     * @private
+     */
+    function syncDimensionPicker() {
+        dimensionPickerMenu.selectAll("input").property("checked", function() { return dimensions.includes(this.value); });
+        dimensionPickerSummary.text(`Dimensions (${dimensions.length})`);
+    }
+
+    optionsWrapper.append("span").style("color", "#777").text("Drag an axis label to reorder. Shift-click a line to compare.");
+
     primaryTypesForSelector.forEach(type => {
         const typeColor = colorScale(type);
         const textColor = getTextColorForBackground(typeColor);
@@ -176,44 +249,164 @@ export function createParallelCoordinatesPlot(data, containerId) {
             .property("checked", true).style("margin-right", "4px").style("cursor", "pointer")
             .on("change", function() {
                 d3.select(this.parentNode).style("opacity", d3.select(this).property("checked") ? 1.0 : 0.5);
-                updatePlot();
+                publishCheckedTypes();
             });
         label.append("span").text(type);
     });
 
-    let selectedPokemon = null;
-    let linesGroupSelection;
+    /**
+     * Reads the checked Type_1 checkboxes.
+     * @private
+     * @returns {Array<string>} The checked primary types.
+     */
+    function getCheckedTypes() {
+        const checkedTypes = [];
+        controlsWrapper.selectAll("input[type=checkbox]:checked").each(function() { checkedTypes.push(d3.select(this).property("value")); });
+        return checkedTypes;
+    }
+
+    /**
+     * Publishes the checked types to the store (`null` when every type is checked).
+     * The store notifies this chart back, which redraws the plot.
+     * @private
+     */
+    function publishCheckedTypes() {
+        const checkedTypes = getCheckedTypes();
+        store.update({ types: checkedTypes.length === primaryTypesForSelector.length ? null : checkedTypes }, "pcp");
+    }
+
+    /**
+     * Sets the checkboxes (and their label opacity) from the `types` held in the store.
+     * @private
+     */
+    function syncCheckboxes() {
+        const { types } = store.getState();
+        controlsWrapper.selectAll("input[type=checkbox]").each(function() {
+            const isChecked = !types || types.includes(this.value);
+            d3.select(this).property("checked", isChecked);
+            d3.select(this.parentNode).style("opacity", isChecked ? 1.0 : 0.5);
+        });
+    }
+
+    let selectedPokemon = allValidPokemonData.find(p => p.Name === store.getState().selectedPokemon) || null;
+    let activeBrushes = store.getState().brushes; // Updated live while brushing, published on brush end
+    let plottedData = [];
+    let hoveredPokemon = null;
+    // Per-draw rendering state, set by `drawPcpChart`.
+    let lineLayer = null;
+    let highlightGroupSelection = null;
+    let linePathGen = null;
 
     /**
-     * Updates the visual styles of the Pokémon paths in the PCP.
-     * Highlights the selected Pokémon, and fades or shows others based on the selection state.
-     * Relies on `selectedPokemon` and `linesGroupSelection` being in scope.
+     * Updates the visual styles of the Pokémon lines in the PCP.
+     * Highlights the selected and hovered Pokémon (as SVG paths above the canvas), dims lines
+     * outside the brushed ranges, and fades or shows others based on the selection state.
+     * Also refreshes the matching-count label.
+     * Relies on `selectedPokemon`, `hoveredPokemon`, `activeBrushes` and the rendering state being in scope.
      * @private
      */
     function updateLineStyles() {
-        if (!linesGroupSelection) return;
-        linesGroupSelection.selectAll(".pokemon-path")
-            .style("stroke-width", d => (selectedPokemon && d.Name === selectedPokemon.Name) ? 3.5 : 2)
-            .style("opacity", d => (!selectedPokemon || d.Name === selectedPokemon.Name) ? (selectedPokemon ? 1 : 0.5) : 0.05);
-        if (selectedPokemon) {
-            const selectedPath = linesGroupSelection.selectAll(".pokemon-path").filter(d => d.Name === selectedPokemon.Name);
-            if (!selectedPath.empty()) selectedPath.raise();
+        if (!lineLayer) return;
+        const matchingCount = plottedData.filter(d => isWithinBrushes(d, activeBrushes)).length;
+        brushCountLabel.text(Object.keys(activeBrushes).length > 0
+            ? `${matchingCount} of ${plottedData.length} Pokémon match the brushed ranges`
+            : `${plottedData.length} Pokémon shown`);
+
+        const { comparedPokemon } = store.getState();
+        const isSelected = d => selectedPokemon && d.Name === selectedPokemon.Name;
+        const isCompared = d => comparedPokemon.includes(d.Name);
+        lineLayer.render(d => {
+            if (isSelected(d) || isCompared(d) || d === hoveredPokemon) return { opacity: 0 }; // Drawn as SVG paths instead
+            let opacity;
+            if (hoveredPokemon) opacity = 0.02;
+            else if (selectedPokemon || comparedPokemon.length > 0) opacity = 0.05;
+            else opacity = isWithinBrushes(d, activeBrushes) ? 0.5 : 0.05;
+            return { color: colorScale(d.Type_1), opacity, width: 2 };
+        });
+
+        const highlighted = plottedData.filter(d => isSelected(d) || isCompared(d) || d === hoveredPokemon)
+            .sort((a, b) => (a === hoveredPokemon) - (b === hoveredPokemon)); // Hovered line on top
+        highlightGroupSelection.selectAll("path.pcp-highlight-path")
+            .data(highlighted, d => d.Name)
+            .join("path")
+                .attr("class", "pcp-path pcp-highlight-path")
+                .classed("pcp-compared-path", d => isCompared(d))
+                .attr("d", linePathGen)
+                .style("stroke", d => getComparisonColor(comparedPokemon, d.Name) || colorScale(d.Type_1)) // Slot color for pinned Pokémon
+                .style("stroke-width", d => d === hoveredPokemon ? 4 : 3.5)
+                .style("opacity", 1)
+                .order();
+    }
+
+    /**
+     * Shows the hover tooltip for a Pokémon next to the pointer.
+     * @private
+     * @param {MouseEvent} event - The mouse event.
+     * @param {Object} d - The hovered Pokémon.
+     */
+    function showTooltip(event, d) {
+        const [x, y] = d3.pointer(event, chartWrapper.node());
+        const flipLeft = x > chartWrapper.node().clientWidth / 2; // Keep the tooltip inside the wrapper
+        tooltip.style("display", "block")
+            .style("left", flipLeft ? null : `${x + 12}px`)
+            .style("right", flipLeft ? `${chartWrapper.node().clientWidth - x + 12}px` : null)
+            .style("top", `${y + 12}px`)
+            .html("");
+        tooltip.append("strong").text(`${d.Name} (${d.Type_1}${d.Type_2 && d.Type_2 !== 'None' ? '/' + d.Type_2 : ''})`);
+        getOrderedDimensions().forEach(dim => tooltip.append("div").text(`${formatColumnLabel(dim)}: ${isNaN(d[dim]) ? 'n/a' : d[dim]}`));
+    }
+
+    /**
+     * Returns the plotted dimensions in the axis order held in the store. Dimensions missing
+     * from the stored order are appended in their default position.
+     * @private
+     * @returns {Array<string>} A fresh array of dimension names.
+     */
+    function getOrderedDimensions() {
+        const storedOrder = (store.getState().pcpAxisOrder || []).filter(dim => dimensions.includes(dim));
+        return storedOrder.concat(dimensions.filter(dim => !storedOrder.includes(dim)));
+    }
+
+    /**
+     * Builds the y scale of every dimension. In "shared" mode all axes use one scale spanning
+     * the global min/max of the plotted stats; in "independent" mode each axis spans its own extent.
+     * @private
+     * @param {Array<Object>} plotData - The Pokémon currently plotted.
+     * @param {number} height - Height of the drawing area in pixels.
+     * @returns {Object<string, d3.ScaleLinear>|null} Scales keyed by dimension, or null if no valid values exist.
+     */
+    function buildYScales(plotData, height) {
+        const extents = Object.fromEntries(dimensions.map(dim => [dim, d3.extent(plotData, d => isNaN(d[dim]) ? undefined : d[dim])]));
+        if (dimensions.every(dim => extents[dim][0] === undefined)) return null;
+
+        if (store.getState().pcpScaleMode === "independent") {
+            return Object.fromEntries(dimensions.map(dim => [dim,
+                d3.scaleLinear().domain(extents[dim][0] === undefined ? [0, 1] : extents[dim]).range([height, 0]).nice()]));
         }
+        const globalMin = d3.min(dimensions, dim => extents[dim][0]);
+        const globalMax = d3.max(dimensions, dim => extents[dim][1]);
+        const yScale = d3.scaleLinear().domain([globalMin, globalMax]).range([height, 0]).nice();
+        return Object.fromEntries(dimensions.map(dim => [dim, yScale]));
     }
 
     /**
-     * Draws or redraws the Parallel Coordinates Plot SVG chart with the given data.
-     * This function handles the creation of axes, lines (paths for Pokémon), and interaction handlers.
+     * Draws or redraws the Parallel Coordinates Plot with the given data.
+     * This function handles the creation of axes, the canvas line layer, and interaction handlers.
      * @private
      * @param {Array<Object>} plotData - The filtered Pokemon data to be plotted. Each object represents a Pokémon.
      */
     function drawPcpChart(plotData) {
         chartWrapper.select("svg.pcp-chart-svg").remove();
         chartWrapper.select("p.pcp-message").remove();
+        if (lineLayer) lineLayer.remove();
+        lineLayer = null;
+        hoveredPokemon = null;
+        tooltip.style("display", "none");
+        plottedData = plotData;
         const chartNode = chartWrapper.node();
         const svgViewBoxWidth = chartNode.clientWidth;
         const svgViewBoxHeight = chartNode.clientHeight;
-        const margin = { top: 0, right: 20, bottom: 100, left: 20 }; // Increased bottom margin for axis labels if needed
+        const margin = { top: 25, right: 20, bottom: 100, left: 20 }; // Top room for axis labels, bottom margin if needed
         const width = svgViewBoxWidth - margin.left - margin.right;
         const height = svgViewBoxHeight - margin.top - margin.bottom;
 
@@ -229,123 +422,212 @@ export function createParallelCoordinatesPlot(data, containerId) {
             svg.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").text("No Pokémon of selected types.");
             return;
         }
-        const xScale = d3.scalePoint().domain(dimensions).range([0, width]).padding(0.2);
-        let globalMin = Infinity, globalMax = -Infinity;
-        plotData.forEach(d => dimensions.forEach(dim => {
-            const val = d[dim];
-            if (val !== undefined && !isNaN(val)) {
-                if (val < globalMin) globalMin = val;
-                if (val > globalMax) globalMax = val;
-            }
-        }));
-        if (globalMin === Infinity || globalMax === -Infinity) { // Should not happen if allValidPokemonData is filtered
+        const orderedDimensions = getOrderedDimensions();
+        const xScale = d3.scalePoint().domain(orderedDimensions).range([0, width]).padding(0.2);
+        const yScales = buildYScales(plotData, height);
+        if (!yScales) { // Should not happen if allValidPokemonData is filtered
             svg.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor", "middle").text("Error: Invalid data range.");
             return;
         }
-        const yScale = d3.scaleLinear().domain([globalMin, globalMax]).range([height, 0]).nice();
-        svg.selectAll(".dimension").data(dimensions).enter().append("g")
+
+        const dragPositions = {}; // x positions of axes currently being dragged, keyed by dimension
+        /**
+         * Returns the x position of an axis, following the pointer while it is dragged.
+         * @private
+         * @param {string} dim - Dimension name.
+         * @returns {number} The axis x position in chart coordinates.
+         */
+        function axisPosition(dim) {
+            return dragPositions[dim] !== undefined ? dragPositions[dim] : xScale(dim);
+        }
+
+        const dimensionGroups = svg.selectAll(".dimension").data(orderedDimensions).enter().append("g")
             .attr("class", "dimension axis").attr("transform", d => `translate(${xScale(d)}, 0)`)
-            .each(function(dimName) { d3.select(this).call(d3.axisLeft(yScale).ticks(5)); })
-            .append("text").attr("class", "axis-label").style("text-anchor", "middle")
-            .attr("y", -15).attr("x", 0).text(d => d.replace('_', '. ')); // Adjusted y for label position
+            .each(function(dimName) { d3.select(this).call(d3.axisLeft(yScales[dimName]).ticks(5)); });
+        dimensionGroups.append("text").attr("class", "axis-label pcp-axis-handle").style("text-anchor", "middle")
+            .attr("y", -15).attr("x", 0).text(formatColumnLabel) // Adjusted y for label position
+            .append("title").text("Drag to reorder axes");
+
+        // --- Brushes (one vertical range brush per axis; multiple brushes combine as AND) ---
+        const brush = d3.brushY()
+            .extent([[-10, 0], [10, height]])
+            .on("start brush end", brushed);
+
+        dimensionGroups.append("g").attr("class", "pcp-brush")
+            .each(function(dimName) {
+                d3.select(this).call(brush);
+                const range = activeBrushes[dimName];
+                if (range) { // Restore the brush from its value range, which survives rescaling
+                    const y0 = Math.max(0, Math.min(height, yScales[dimName](range[1])));
+                    const y1 = Math.max(0, Math.min(height, yScales[dimName](range[0])));
+                    d3.select(this).call(brush.move, [y0, y1]);
+                }
+            });
+
+        /**
+         * Brush listener: converts the pixel selection of one axis to a value range, restyles the
+         * lines live, and publishes the combined ranges to the store when the gesture ends.
+         * @private
+         * @param {d3.D3BrushEvent} event - The brush event.
+         * @param {string} dimName - The dimension of the brushed axis.
+         */
+        function brushed(event, dimName) {
+            if (!event.sourceEvent) return; // Ignore programmatic moves made while restoring brushes
+            if (event.selection) {
+                const [y0, y1] = event.selection;
+                activeBrushes = { ...activeBrushes, [dimName]: [yScales[dimName].invert(y1), yScales[dimName].invert(y0)] };
+            } else {
+                const { [dimName]: cleared, ...remainingBrushes } = activeBrushes;
+                activeBrushes = remainingBrushes;
+            }
+            updateLineStyles();
+            if (event.type === "end") store.update({ brushes: activeBrushes }, "pcp");
+        }
+
+        /**
+         * Projects a Pokémon onto the axes, in display order.
+         * @private
+         * @param {Object} d_line - The data object for a single Pokémon.
+         * @returns {Array<number>} The y position on each axis (NaN where the value is missing).
+         */
+        function projectY(d_line) {
+            return orderedDimensions.map(dim => yScales[dim](d_line[dim]));
+        }
 
         /**
          * Generates the SVG path string for a single Pokémon's data line across the dimensions.
+         * Used for the highlighted lines drawn above the canvas. Missing values break the line,
+         * leaving a gap around that axis.
          * @private
          * @param {Object} d_path - The data object for a single Pokémon. Must contain properties for each dimension.
          * @returns {string|null} The SVG path string (e.g., "M0,100L50,200..."), or null if not enough valid points.
          */
         function pathGen(d_path) {
-            const points = dimensions.map(p => [xScale(p), yScale(d_path[p])]).filter(pt => !isNaN(pt[0]) && !isNaN(pt[1]));
-            return points.length >= 2 ? d3.line()(points) : null;
+            const points = orderedDimensions.map(p => [axisPosition(p), yScales[p](d_path[p])]);
+            const validPointCount = points.filter(pt => !isNaN(pt[0]) && !isNaN(pt[1])).length;
+            return validPointCount >= 2 ? d3.line().defined(pt => !isNaN(pt[0]) && !isNaN(pt[1]))(points) : null;
         }
-        linesGroupSelection = svg.append("g").attr("class", "pcp-lines");
-        const paths = linesGroupSelection.selectAll(".pokemon-path").data(plotData, d => d.Name) // Key by Name
-            .enter().append("path").attr("class", "pcp-path pokemon-path").attr("d", pathGen)
-            .style("stroke", d => colorScale(d.Type_1)).style("fill", "none")
-            .style("display", d => pathGen(d) ? null : "none"); // Hide paths that can't be drawn
-        paths.append("title").text(d => `${d.Name} (${d.Type_1}${d.Type_2 && d.Type_2 !== 'None' ? '/' + d.Type_2 : ''})\n` +
-            dimensions.map(dim => `${dim.replace('_', '. ')}: ${d[dim]}`).join('\n'));
-
-        paths.on("mouseover", function(event, d_hover) {
-            if (selectedPokemon && d_hover.Name === selectedPokemon.Name) return; // Don't change if it's already selected
-            d3.select(this).raise().style("stroke-width", 4).style("opacity", 1);
-            linesGroupSelection.selectAll(".pokemon-path")
-                .filter(p => p !== d_hover && (!selectedPokemon || p.Name !== selectedPokemon.Name))
-                .style("opacity", 0.02);
-        }).on("mouseout", () => updateLineStyles()) // Revert to base styles or selected style
-        .on("click", async function(event, d_clicked) {
-            event.stopPropagation(); // Prevent click from bubbling to overlay if modal is open
-            selectedPokemon = d_clicked;
-            pokemonInfoWrapper.html(""); // Clear previous content
-
-            const infoContent = pokemonInfoWrapper.append("div").style("display", "flex").style("align-items", "flex-start");
-            const imgElement = infoContent.append("img")
-                .attr("src", "https://via.placeholder.com/96?text=Loading...") // Placeholder image
-                .style("width", "96px").style("height", "96px").style("margin-right", "20px")
-                .style("object-fit", "contain").style("border", "1px solid #eee").style("flex-shrink", "0");
-            const statsDiv = infoContent.append("div").style("flex-grow", "1");
-            statsDiv.append("h4").text(d_clicked.Name).style("margin", "0 0 8px 0").style("font-size", "1.2em");
-            statsDiv.append("p").text(`Type: ${d_clicked.Type_1}${d_clicked.Type_2 && d_clicked.Type_2 !== 'None' ? ' / ' + d_clicked.Type_2 : ''}`)
-                .style("margin", "0 0 10px 0").style("font-size", "0.95em");
-            const statsList = statsDiv.append("ul").style("list-style-type", "none").style("padding-left", "0").style("font-size", "0.9em").style("margin", "0");
-            dimensions.forEach(dim => statsList.append("li").style("margin-bottom", "3px").text(`${dim.replace('_', '. ')}: ${d_clicked[dim]}`));
-            
-            const closeButton = pokemonInfoWrapper.append("button").text("Close")
-                .styles(buttonBaseStyle) // Apply base styles
-                .style("display", "block").style("margin", "20px auto 0 auto") // Centered margin top
-                .on("mouseover", function() { d3.select(this).styles(buttonHoverStyle); })
-                .on("mouseout", function() { d3.select(this).styles(buttonBaseStyle); });
-            
-            closeButton.on("click", (e) => { // Assign click after creation and styling
-                    e.stopPropagation();
-                    selectedPokemon = null;
-                    pokemonInfoWrapper.style("display", "none").html("");
-                    overlay.style("display", "none"); // Hide overlay
-                    updateLineStyles();
-                });
-
-            pokemonInfoWrapper.style("display", "block");
-            overlay.style("display", "block"); // Show overlay
-
-            let apiName = d_clicked.Name.toLowerCase();
-            try {
-                // Name sanitization for PokeAPI
-                apiName = d_clicked.Name.toLowerCase().replace(/\s+/g, '-').replace(/['.]/g, '').replace(/♀/g, '-f').replace(/♂/g, '-m');
-                // Specific known API name overrides
-                if (apiName === "mr-mime") apiName = "mr-mime"; else if (apiName === "mime-jr") apiName = "mime-jr";
-                else if (apiName === "farfetchd") apiName = "farfetchd"; else if (apiName === "sirfetchd") apiName = "sirfetchd";
-                else if (apiName === "type-null") apiName = "type-null"; else if (apiName.startsWith("tapu-")) apiName = apiName;
-                // Other common cases might need to be added here if issues are found.
-                
-                const response = await d3.json(`https://pokeapi.co/api/v2/pokemon/${apiName}`);
-                const imageUrl = response.sprites.other['official-artwork']?.front_default || response.sprites?.front_default || "https://via.placeholder.com/96?text=N/A";
-                imgElement.attr("src", imageUrl);
-            } catch (error) {
-                console.error(`Failed to fetch Pokémon image for '${d_clicked.Name}' (tried '${apiName}') from PokeAPI:`, error);
-                imgElement.attr("src", "https://via.placeholder.com/96?text=Error"); // Show error image
-            }
-            updateLineStyles(); // Update line styles to reflect new selection
-        });
+
+        lineLayer = createPcpLineLayer(chartWrapper, { width, height, margin });
+        lineLayer.setLines(plotData, orderedDimensions.map(axisPosition), projectY);
+        linePathGen = pathGen;
+        // Highlighted lines sit below the axes, so brushes stay reachable.
+        highlightGroupSelection = svg.insert("g", ".dimension").attr("class", "pcp-highlight-lines");
+
+        // --- Hover and click on the canvas lines (hit-tested through the line layer's grid index) ---
+        /**
+         * Finds the line under the pointer, preferring lines inside the brushed ranges.
+         * @private
+         * @param {MouseEvent} event - The mouse event.
+         * @returns {Object|null} The Pokémon under the pointer, or null.
+         */
+        function pickLine(event) {
+            const [x, y] = d3.pointer(event, svg.node());
+            return lineLayer.pick(x, y, 4, d => isWithinBrushes(d, activeBrushes)) || lineLayer.pick(x, y, 4);
+        }
+        svg.insert("rect", ":first-child")
+            .attr("class", "pcp-hit-area")
+            .attr("width", width).attr("height", height)
+            .on("mousemove", function(event) {
+                const d_hover = pickLine(event);
+                d3.select(this).style("cursor", d_hover ? "pointer" : null);
+                if (d_hover) showTooltip(event, d_hover);
+                else tooltip.style("display", "none");
+                if (d_hover === hoveredPokemon) return;
+                hoveredPokemon = (selectedPokemon && d_hover && d_hover.Name === selectedPokemon.Name) ? null : d_hover; // Selected line keeps its style
+                updateLineStyles();
+            })
+            .on("mouseleave", () => {
+                tooltip.style("display", "none");
+                hoveredPokemon = null;
+                updateLineStyles(); // Revert to base styles or selected style
+            })
+            .on("click", (event) => {
+                const d_clicked = pickLine(event);
+                if (!d_clicked) return;
+                if (event.shiftKey) toggleComparedPokemon(store, d_clicked.Name, "pcp"); // Pin/unpin instead of opening the modal
+                else openPokemonModal(event, d_clicked);
+            });
+
+        // --- Axis Reordering (drag an axis by its label or ticks; brush areas keep their own gestures) ---
+        dimensionGroups.call(d3.drag()
+            .subject((event, dim) => ({ x: xScale(dim) }))
+            .on("start", function(event, dim) {
+                dragPositions[dim] = xScale(dim);
+                d3.select(this).raise().classed("dragging", true);
+            })
+            .on("drag", function(event, dim) {
+                dragPositions[dim] = Math.max(0, Math.min(width, event.x));
+                orderedDimensions.sort((a, b) => axisPosition(a) - axisPosition(b));
+                xScale.domain(orderedDimensions);
+                dimensionGroups.attr("transform", d => `translate(${axisPosition(d)}, 0)`);
+                lineLayer.setLines(plotData, orderedDimensions.map(axisPosition), projectY);
+                updateLineStyles();
+            })
+            .on("end", function(event, dim) {
+                delete dragPositions[dim];
+                d3.select(this).classed("dragging", false)
+                    .transition().duration(300).attr("transform", `translate(${xScale(dim)}, 0)`);
+                lineLayer.setLines(plotData, orderedDimensions.map(axisPosition), projectY);
+                updateLineStyles();
+                store.update({ pcpAxisOrder: orderedDimensions.slice() }, "pcp");
+            }));
+
         updateLineStyles(); // Initial application of line styles
     }
 
     /**
-     * Filters the main dataset based on the currently selected Pokémon types
-     * from the checkboxes and then calls `drawPcpChart` to re-render the plot.
-     * Also handles resetting `selectedPokemon` and hiding the modal if its type is deselected.
+     * Selects a Pokémon and opens the detail panel for it.
+     * @private
+     * @param {MouseEvent} event - The click event.
+     * @param {Object} d_clicked - The clicked Pokémon.
+     */
+    function openPokemonModal(event, d_clicked) {
+        event.stopPropagation(); // Prevent click from bubbling to overlay if modal is open
+        selectedPokemon = d_clicked;
+        hoveredPokemon = null; // The clicked line is now drawn as the selection
+        store.update({ selectedPokemon: d_clicked.Name }, "pcp");
+        detailModal.open(d_clicked, { color: colorScale(d_clicked.Type_1) });
+    }
+
+    /**
+     * Filters the main dataset by the other charts' filters and the currently selected
+     * Pokémon types from the checkboxes, then calls `drawPcpChart` to re-render the plot.
+     * Also clears the selection if the selected Pokémon is filtered out.
      * @private
      */
     function updatePlot() {
-        const selectedTypesArray = [];
-        controlsWrapper.selectAll("input[type=checkbox]:checked").each(function() { selectedTypesArray.push(d3.select(this).property("value")); });
-        const dataToPlot = allValidPokemonData.filter(d => selectedTypesArray.includes(d.Type_1));
+        dimensions = getActiveDimensions();
+        syncDimensionPicker();
+        const selectedTypesArray = getCheckedTypes();
+        const dataToPlot = store.filterData(allValidPokemonData, "pcp").filter(d => selectedTypesArray.includes(d.Type_1));
         if (selectedPokemon && !dataToPlot.find(p => p.Name === selectedPokemon.Name)) {
             selectedPokemon = null;
-            pokemonInfoWrapper.style("display", "none").html("");
-            overlay.style("display", "none"); // Hide overlay here too
+            store.update({ selectedPokemon: null }, "pcp");
         }
         drawPcpChart(dataToPlot);
     }
+
+    store.subscribe("pcp", (state, changedKeys, source) => {
+        const brushesChangedElsewhere = changedKeys.includes("brushes") && source !== "pcp";
+        if (changedKeys.includes("brushes")) activeBrushes = state.brushes;
+        if (changedKeys.includes("selectedPokemon")) {
+            selectedPokemon = allValidPokemonData.find(p => p.Name === state.selectedPokemon) || null;
+        }
+        if (changedKeys.includes("types")) syncCheckboxes();
+
+        if (changedKeys.includes("pcpScaleMode")) optionsWrapper.select("select.pcp-scale-mode").property("value", state.pcpScaleMode);
+        const axisOrderChangedElsewhere = changedKeys.includes("pcpAxisOrder") && source !== "pcp"; // Drags already moved the axes
+
+        if (changedKeys.includes("types") || brushesChangedElsewhere || changedKeys.includes("pcpScaleMode") ||
+            changedKeys.includes("pcpDimensions") || axisOrderChangedElsewhere ||
+            store.filtersChanged(changedKeys, "pcp")) {
+            updatePlot();
+        } else if (changedKeys.includes("selectedPokemon") || changedKeys.includes("comparedPokemon")) {
+            updateLineStyles();
+        }
+    });
+
+    syncCheckboxes();
     updatePlot(); // Initial plot rendering
 }
@@ -0,0 +1,166 @@
+/**
+ * @file Canvas line layer for the Parallel Coordinates Plot.
+ * Draws one polyline per Pokémon on a `<canvas>` placed under the SVG axes, and answers
+ * hover/click hit tests from a uniform grid index instead of one DOM element per line,
+ * so thousands of lines can be drawn and picked without layout thrash.
+ */
+
+/**
+ * Height in pixels of one row of the hit-testing grid.
+ * @private
+ * @type {number}
+ */
+const GRID_CELL_SIZE = 8;
+
+/**
+ * Creates the canvas line layer inside `wrapper`, sized to the SVG drawn on top of it.
+ * Coordinates passed to and returned from the layer are chart coordinates, i.e. relative
+ * to the margin-translated drawing area, exactly like the SVG axes.
+ * @param {d3.Selection} wrapper - The positioned element holding the chart SVG.
+ * @param {Object} layout - Chart layout.
+ * @param {number} layout.width - Width of the drawing area.
+ * @param {number} layout.height - Height of the drawing area.
+ * @param {{top: number, right: number, bottom: number, left: number}} layout.margin - Margins around the drawing area.
+ * @returns {{
+ *   setLines: function(Array<Object>, Array<number>, function(Object): Array<number>): void,
+ *   render: function(function(Object): {color: string, opacity: number, width: number}): void,
+ *   pick: function(number, number, number=, function(Object): boolean=): (Object|null),
+ *   remove: function(): void
+ * }} The line layer API.
+ */
+export function createPcpLineLayer(wrapper, { width, height, margin }) {
+    const fullWidth = width + margin.left + margin.right;
+    const fullHeight = height + margin.top + margin.bottom;
+    const pixelRatio = window.devicePixelRatio || 1; // Render at device resolution for crisp lines
+
+    const canvas = wrapper.insert("canvas", ":first-child")
+        .attr("class", "pcp-lines-canvas")
+        .attr("width", Math.round(fullWidth * pixelRatio))
+        .attr("height", Math.round(fullHeight * pixelRatio))
+        .style("width", `${fullWidth}px`)
+        .style("height", `${fullHeight}px`);
+    const context = canvas.node().getContext("2d");
+
+    let records = [];
+    let axisX = [];
+    let projectedY = []; // projectedY[i][k] is the y of record i on axis k (NaN when missing)
+    let gridIndex = null; // Built lazily on the first pick after the lines change
+
+    /**
+     * Traces one record's polyline on the context, lifting the pen over missing values.
+     * @private
+     * @param {Array<number>} ys - Projected y per axis.
+     */
+    function tracePolyline(ys) {
+        let penDown = false;
+        ys.forEach((y, k) => {
+            if (isNaN(y)) {
+                penDown = false;
+                return;
+            }
+            if (penDown) context.lineTo(axisX[k], y);
+            else context.moveTo(axisX[k], y);
+            penDown = true;
+        });
+    }
+
+    /**
+     * Buckets every line segment by the grid rows it crosses, separately for each gap between
+     * two neighbouring axes. A pick then only tests the few segments sharing the pointer's cell.
+     * @private
+     * @returns {Array<Array<Array<number>>>} For each gap, the record indices per grid row.
+     */
+    function buildGridIndex() {
+        const rowCount = Math.ceil(height / GRID_CELL_SIZE) + 1;
+        const toRow = y => Math.max(0, Math.min(rowCount - 1, Math.floor(y / GRID_CELL_SIZE)));
+        return d3.range(axisX.length - 1).map(k => {
+            const rows = Array.from({ length: rowCount }, () => []);
+            projectedY.forEach((ys, i) => {
+                const y0 = ys[k], y1 = ys[k + 1];
+                if (isNaN(y0) || isNaN(y1)) return;
+                for (let row = toRow(Math.min(y0, y1)); row <= toRow(Math.max(y0, y1)); row++) rows[row].push(i);
+            });
+            return rows;
+        });
+    }
+
+    return {
+        /**
+         * Sets the lines to draw.
+         * @param {Array<Object>} newRecords - One record (Pokémon) per line.
+         * @param {Array<number>} newAxisX - x position of each axis, in display order.
+         * @param {function(Object): Array<number>} projectY - Returns a record's y on each axis (NaN when missing).
+         */
+        setLines(newRecords, newAxisX, projectY) {
+            records = newRecords;
+            axisX = newAxisX;
+            projectedY = records.map(projectY);
+            gridIndex = null;
+        },
+
+        /**
+         * Redraws every line. Lines are painted from the most to the least transparent,
+         * so highlighted lines end up on top of dimmed ones.
+         * @param {function(Object): {color: string, opacity: number, width: number}} styleOf - Style of a record's line.
+         *                                                                                     An opacity of 0 skips the line.
+         */
+        render(styleOf) {
+            context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+            context.clearRect(0, 0, fullWidth, fullHeight);
+            context.translate(margin.left, margin.top);
+            context.lineJoin = "round";
+
+            records.map((record, i) => ({ i, style: styleOf(record) }))
+                .filter(({ style }) => style.opacity > 0)
+                .sort((a, b) => a.style.opacity - b.style.opacity)
+                .forEach(({ i, style }) => {
+                    context.globalAlpha = style.opacity;
+                    context.strokeStyle = style.color;
+                    context.lineWidth = style.width;
+                    context.beginPath();
+                    tracePolyline(projectedY[i]);
+                    context.stroke();
+                });
+            context.globalAlpha = 1;
+        },
+
+        /**
+         * Finds the line closest to a point, if any lies within `tolerance` pixels.
+         * @param {number} x - x in chart coordinates.
+         * @param {number} y - y in chart coordinates.
+         * @param {number} [tolerance=4] - Maximum distance in pixels.
+         * @param {function(Object): boolean} [isEligible] - Optional filter restricting which records can be picked.
+         * @returns {Object|null} The picked record, or null.
+         */
+        pick(x, y, tolerance = 4, isEligible = () => true) {
+            const gap = axisX.findIndex((x0, k) => k < axisX.length - 1 && x >= x0 && x <= axisX[k + 1]);
+            if (gap === -1) return null;
+            if (!gridIndex) gridIndex = buildGridIndex();
+
+            const rows = gridIndex[gap];
+            const firstRow = Math.max(0, Math.floor((y - tolerance) / GRID_CELL_SIZE));
+            const lastRow = Math.min(rows.length - 1, Math.floor((y + tolerance) / GRID_CELL_SIZE));
+            const x0 = axisX[gap], dx = axisX[gap + 1] - x0;
+            let best = null, bestDistance = tolerance;
+            for (let row = firstRow; row <= lastRow; row++) {
+                rows[row].forEach(i => {
+                    const y0 = projectedY[i][gap], dy = projectedY[i][gap + 1] - y0;
+                    const lineY = y0 + dy * (dx === 0 ? 0 : (x - x0) / dx);
+                    const distance = Math.abs(lineY - y) * (dx / Math.hypot(dx, dy) || 1); // Perpendicular distance
+                    if (distance <= bestDistance && isEligible(records[i])) {
+                        best = records[i];
+                        bestDistance = distance;
+                    }
+                });
+            }
+            return best;
+        },
+
+        /**
+         * Removes the canvas from the page.
+         */
+        remove() {
+            canvas.remove();
+        }
+    };
+}
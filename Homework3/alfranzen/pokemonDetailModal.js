@@ -0,0 +1,264 @@
+import { createDashboardStore } from './dashboardStore.js';
+import { STAT_COLUMNS, formatColumnLabel } from './pokemonSchema.js';
+import { createLocalSpriteProvider, createFallbackSprite } from './spriteProvider.js';
+
+/**
+ * Creates the Pokémon detail modal shared by the charts. The panel shows the sprite, a radar
+ * chart of the six battle stats, each stat's percentile against the whole dataset and against
+ * the Pokémon's primary type, and the remaining CSV fields (color, egg groups, body style,
+ * size, catch rate, gender ratio, legendary and mega flags).
+ * The modal follows the store: it closes when another Pokémon (or none) gets selected, and
+ * closing it clears the selection.
+ * @param {Array<Object>} data - The processed Pokémon dataset, used for the percentiles.
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
+ * @param {Object} [options={}] - Optional settings.
+ * @param {{getSpriteUrl: function(Object): Promise<string|null>}} [options.spriteProvider] - Resolves the
+ *        artwork (see `spriteProvider.js`). Defaults to the offline local-manifest provider.
+ * @returns {{open: function(Object, {color: string}=): Promise<void>, close: function(): void}} The modal API.
+ */
+export function createPokemonDetailModal(data, store = createDashboardStore(), { spriteProvider = createLocalSpriteProvider() } = {}) {
+    const body = d3.select("body");
+    body.selectAll(".pokemon-detail-overlay, .pokemon-detail-modal").remove(); // Replace a previous instance
+
+    // --- Overlay for Modal ---
+    const overlay = body.append("div")
+        .attr("class", "pokemon-detail-overlay")
+        .style("position", "fixed")
+        .style("top", "0")
+        .style("left", "0")
+        .style("width", "100%")
+        .style("height", "100%")
+        .style("background-color", "rgba(0,0,0,0.5)")
+        .style("z-index", "999") // Below modal, above everything else
+        .style("display", "none") // Initially hidden
+        .on("click", () => closeAndDeselect());
+
+    // --- Detail Panel (Modal) ---
+    const modal = body.append("div")
+        .attr("class", "pokemon-detail-modal")
+        .attr("role", "dialog")
+        .style("position", "fixed")
+        .style("top", "50%")
+        .style("left", "50%")
+        .style("transform", "translate(-50%, -50%)")
+        .style("background-color", "#ffffff")
+        .style("padding", "25px")
+        .style("border", "1px solid #ccc")
+        .style("border-radius", "8px")
+        .style("box-shadow", "0 5px 15px rgba(0,0,0,0.3)")
+        .style("z-index", "1000") // On top of overlay
+        .style("width", "560px")
+        .style("max-width", "calc(100vw - 40px)") // Ensure some viewport margin
+        .style("max-height", "calc(100vh - 40px)")
+        .style("overflow-y", "auto")
+        .style("display", "none"); // Initially hidden
+
+    let openPokemon = null;
+    const sortedValuesCache = new Map(); // "stat|type" → ascending values, built on first use
+
+    /**
+     * Computes the percentile rank of a value: the share of Pokémon whose stat is at or below it.
+     * @private
+     * @param {string} stat - Stat column.
+     * @param {number} value - The value to rank.
+     * @param {string|null} [type=null] - Restrict the comparison to this primary type.
+     * @returns {number} Percentile in [0, 100], or NaN if there is nothing to compare against.
+     */
+    function percentileOf(stat, value, type = null) {
+        const cacheKey = `${stat}|${type || ""}`;
+        if (!sortedValuesCache.has(cacheKey)) {
+            const values = data.filter(d => !type || d.Type_1 === type).map(d => d[stat]).filter(v => !isNaN(v));
+            sortedValuesCache.set(cacheKey, values.sort(d3.ascending));
+        }
+        const sortedValues = sortedValuesCache.get(cacheKey);
+        if (sortedValues.length === 0 || isNaN(value)) return NaN;
+        return 100 * d3.bisectRight(sortedValues, value) / sortedValues.length;
+    }
+
+    /**
+     * Draws a radar (spider) chart of the six battle stats on a shared 0–max-stat scale.
+     * @private
+     * @param {d3.Selection} container - Element receiving the SVG.
+     * @param {Object} pokemon - The Pokémon to draw.
+     * @param {string} color - Fill color of the stat polygon.
+     */
+    function drawRadarChart(container, pokemon, color) {
+        const size = 220, radius = 75;
+        const maxStat = d3.max(data, d => d3.max(STAT_COLUMNS, stat => d[stat])) || 1;
+        const rScale = d3.scaleLinear().domain([0, maxStat]).range([0, radius]);
+        const angle = i => (i / STAT_COLUMNS.length) * 2 * Math.PI - Math.PI / 2; // First axis points up
+        const pointAt = (i, value) => [Math.cos(angle(i)) * rScale(value), Math.sin(angle(i)) * rScale(value)];
+
+        const svg = container.append("svg")
+            .attr("class", "pokemon-radar-chart")
+            .attr("viewBox", `0 0 ${size} ${size}`)
+            .attr("width", size).attr("height", size)
+          .append("g")
+            .attr("transform", `translate(${size / 2}, ${size / 2})`);
+
+        // Grid rings at 25% steps of the maximum stat
+        [0.25, 0.5, 0.75, 1].forEach(fraction => {
+            svg.append("polygon")
+                .attr("class", "radar-grid")
+                .attr("points", STAT_COLUMNS.map((stat, i) => pointAt(i, maxStat * fraction).join(",")).join(" "));
+        });
+
+        STAT_COLUMNS.forEach((stat, i) => {
+            const [x, y] = pointAt(i, maxStat);
+            svg.append("line").attr("class", "radar-axis").attr("x1", 0).attr("y1", 0).attr("x2", x).attr("y2", y);
+            svg.append("text").attr("class", "radar-label")
+                .attr("x", x * 1.22).attr("y", y * 1.22 + 4)
+                .attr("text-anchor", Math.abs(x) < 1 ? "middle" : x > 0 ? "start" : "end")
+                .text(formatColumnLabel(stat));
+        });
+
+        svg.append("polygon")
+            .attr("class", "radar-shape")
+            .attr("points", STAT_COLUMNS.map((stat, i) => pointAt(i, isNaN(pokemon[stat]) ? 0 : pokemon[stat]).join(",")).join(" "))
+            .style("fill", color)
+            .style("stroke", color);
+    }
+
+    /**
+     * Formats a percentile as an ordinal, e.g. 1st, 22nd, 63rd, 100th.
+     * @private
+     * @param {number} percentile - Percentile in [0, 100].
+     * @returns {string} The ordinal, or "n/a" for NaN.
+     */
+    function formatPercentile(percentile) {
+        if (isNaN(percentile)) return "n/a";
+        const rounded = Math.round(percentile);
+        const suffix = rounded % 100 >= 11 && rounded % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[rounded % 10] || "th");
+        return `${rounded}${suffix}`;
+    }
+
+    /**
+     * Formats the gender ratio from `hasGender` and `Pr_Male`.
+     * @private
+     * @param {Object} pokemon - The Pokémon.
+     * @returns {string} e.g. "87.5% ♂ / 12.5% ♀" or "Genderless".
+     */
+    function formatGenderRatio(pokemon) {
+        if (!pokemon.hasGender || isNaN(pokemon.Pr_Male)) return "Genderless";
+        const format = d3.format(".3~r");
+        return `${format(pokemon.Pr_Male * 100)}% ♂ / ${format((1 - pokemon.Pr_Male) * 100)}% ♀`;
+    }
+
+    /**
+     * Hides the modal without touching the store.
+     * @private
+     */
+    function hide() {
+        openPokemon = null;
+        modal.style("display", "none").html("");
+        overlay.style("display", "none");
+    }
+
+    /**
+     * Hides the modal and clears the dashboard selection.
+     * @private
+     */
+    function closeAndDeselect() {
+        if (!openPokemon) return;
+        hide();
+        store.update({ selectedPokemon: null }, "detailModal");
+    }
+
+    // Close when the selection moves to another Pokémon or is cleared elsewhere.
+    store.subscribe("detailModal", (state, changedKeys) => {
+        if (changedKeys.includes("selectedPokemon") && openPokemon && state.selectedPokemon !== openPokemon.Name) hide();
+    });
+
+    return {
+        /**
+         * Opens the panel for a Pokémon and selects it dashboard-wide.
+         * @param {Object} pokemon - The Pokémon to show.
+         * @param {Object} [options={}] - Display options.
+         * @param {string} [options.color="#5dade2"] - Accent color, usually the caller's color for the primary type.
+         * @returns {Promise<void>} Resolves once the sprite has been resolved.
+         */
+        async open(pokemon, { color = "#5dade2" } = {}) {
+            store.update({ selectedPokemon: pokemon.Name }, "detailModal");
+            openPokemon = pokemon;
+            modal.html(""); // Clear previous content
+
+            // --- Header: sprite, name, types and flags ---
+            const header = modal.append("div").attr("class", "pokemon-detail-header");
+            const fallbackSprite = createFallbackSprite(pokemon, color);
+            const imgElement = header.append("img")
+                .attr("class", "pokemon-detail-sprite")
+                .attr("src", fallbackSprite) // Generated sprite, replaced once the provider resolves
+                .attr("alt", pokemon.Name);
+            const titleBlock = header.append("div");
+            titleBlock.append("h4").text(`${pokemon.Name} `).append("span").attr("class", "pokemon-detail-number").text(`#${pokemon.Number}`);
+            titleBlock.append("p").text(`Type: ${pokemon.Type_1}${pokemon.Type_2 && pokemon.Type_2 !== 'None' ? ' / ' + pokemon.Type_2 : ''} · Generation ${pokemon.Generation}`);
+            const flags = titleBlock.append("div").attr("class", "pokemon-detail-flags");
+            if (pokemon.isLegendary) flags.append("span").attr("class", "pokemon-detail-flag legendary").text("Legendary");
+            if (pokemon.hasMegaEvolution) flags.append("span").attr("class", "pokemon-detail-flag mega").text("Mega Evolution");
+
+            // --- Stats: radar chart and percentile table ---
+            const statsSection = modal.append("div").attr("class", "pokemon-detail-stats");
+            drawRadarChart(statsSection, pokemon, color);
+
+            const table = statsSection.append("table").attr("class", "pokemon-detail-table");
+            const headerRow = table.append("thead").append("tr");
+            ["Stat", "Value", "Percentile (all)", `Percentile (${pokemon.Type_1})`].forEach(label => headerRow.append("th").text(label));
+            const tableBody = table.append("tbody");
+            STAT_COLUMNS.concat("Total").forEach(stat => {
+                const row = tableBody.append("tr");
+                row.append("td").text(formatColumnLabel(stat));
+                row.append("td").text(isNaN(pokemon[stat]) ? "n/a" : pokemon[stat]);
+                [percentileOf(stat, pokemon[stat]), percentileOf(stat, pokemon[stat], pokemon.Type_1)].forEach(percentile => {
+                    const cell = row.append("td").attr("class", "percentile-cell");
+                    cell.append("span").attr("class", "percentile-bar").style("width", `${isNaN(percentile) ? 0 : percentile}%`);
+                    cell.append("span").attr("class", "percentile-text").text(formatPercentile(percentile));
+                });
+            });
+
+            // --- Other CSV fields ---
+            const formatNumber = (value, unit) => isNaN(value) ? "n/a" : `${value}${unit}`;
+            const eggGroups = [pokemon.Egg_Group_1, pokemon.Egg_Group_2].filter(group => group && group !== "None").map(group => group.replace(/_/g, " "));
+            const details = [
+                ["Color", pokemon.Color || "n/a"],
+                ["Egg Groups", eggGroups.length ? eggGroups.join(", ") : "n/a"],
+                ["Body Style", pokemon.Body_Style ? pokemon.Body_Style.replace(/_/g, " ") : "n/a"],
+                ["Height", formatNumber(pokemon.Height_m, " m")],
+                ["Weight", formatNumber(pokemon.Weight_kg, " kg")],
+                ["Catch Rate", formatNumber(pokemon.Catch_Rate, "")],
+                ["Gender Ratio", formatGenderRatio(pokemon)],
+                ["Legendary", pokemon.isLegendary ? "Yes" : "No"],
+                ["Mega Evolution", pokemon.hasMegaEvolution ? "Yes" : "No"]
+            ];
+            const detailList = modal.append("dl").attr("class", "pokemon-detail-fields");
+            details.forEach(([label, value]) => {
+                detailList.append("dt").text(label);
+                detailList.append("dd").text(value);
+            });
+
+            modal.append("button").attr("class", "pokemon-detail-close").text("Close")
+                .on("click", (event) => {
+                    event.stopPropagation();
+                    closeAndDeselect();
+                });
+
+            modal.style("display", "block");
+            overlay.style("display", "block"); // Show overlay
+
+            try {
+                const spriteUrl = await spriteProvider.getSpriteUrl(pokemon);
+                if (spriteUrl && openPokemon === pokemon) { // Ignore late answers for a closed or replaced modal
+                    imgElement
+                        .on("error", () => imgElement.on("error", null).attr("src", fallbackSprite)) // Missing file → generated sprite
+                        .attr("src", spriteUrl);
+                }
+            } catch (error) {
+                console.error(`Failed to resolve sprite for '${pokemon.Name}':`, error);
+            }
+        },
+
+        /**
+         * Closes the panel and clears the selection.
+         */
+        close: closeAndDeselect
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * @file Column definitions for the Pokémon dataset, shared by the data loader in `main.js`
+ * and the charts that let users pick which columns to plot.
+ */
+
+/**
+ * Numeric columns converted to numbers when the CSV is loaded.
+ * @type {Array<string>}
+ */
+export const NUMERIC_COLUMNS = ['Total', 'HP', 'Attack', 'Defense', 'Sp_Atk', 'Sp_Def', 'Speed', 'Generation', 'Height_m', 'Weight_kg', 'Catch_Rate', 'Pr_Male'];
+
+/**
+ * The six battle stats, in their conventional order.
+ * @type {Array<string>}
+ */
+export const STAT_COLUMNS = ['HP', 'Attack', 'Defense', 'Sp_Atk', 'Sp_Def', 'Speed'];
+
+/**
+ * Categorical columns the charts can group Pokémon by. `Generation` is numeric in the CSV
+ * but has few enough values to act as a category.
+ * @type {Array<string>}
+ */
+export const CATEGORICAL_COLUMNS = ['Generation', 'Type_1', 'Type_2', 'Color', 'Body_Style', 'Egg_Group_1', 'Egg_Group_2', 'isLegendary', 'hasMegaEvolution'];
+
+/**
+ * Returns the columns that hold a value for at least one Pokémon. The bundled CSV has every
+ * column; an uploaded dataset may leave some unmapped, and pickers should not offer those.
+ * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {Array<string>} columns - Candidate columns, e.g. `NUMERIC_COLUMNS`.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {boolean} [options.numeric=false] - Count only numbers as values (an uploaded
+ *        `Generation` may hold labels, which can group but not be plotted on an axis).
+ * @returns {Array<string>} The columns with values, in the given order.
+ */
+export function getAvailableColumns(data, columns, { numeric = false } = {}) {
+    const hasValue = numeric
+        ? value => typeof value === 'number' && !isNaN(value)
+        : value => value !== undefined && value !== null && !Number.isNaN(value);
+    return columns.filter(column => data.some(d => hasValue(d[column])));
+}
+
+/**
+ * Columns the ridgeline can show; Generation is better used as a grouping, so it is left out.
+ * @type {Array<string>}
+ */
+export const RIDGELINE_METRICS = NUMERIC_COLUMNS.filter(col => col !== 'Generation');
+
+/**
+ * Returns the column the ridgeline shows for a stored `ridgelineMetric`: the metric itself if
+ * the dataset has values for it, else `Total`, else the first metric it has. The store filters
+ * the ridgeline's brushed range on the same column.
+ * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {string} metric - The stored `ridgelineMetric`.
+ * @returns {string} The metric to show.
+ */
+export function resolveRidgelineMetric(data, metric) {
+    const available = getAvailableColumns(data, RIDGELINE_METRICS, { numeric: true });
+    if (available.includes(metric)) return metric;
+    return available.includes('Total') || available.length === 0 ? 'Total' : available[0];
+}
+
+/**
+ * Display labels for columns whose names don't read well with underscores replaced.
+ * @private
+ * @type {Object<string, string>}
+ */
+const COLUMN_LABELS = {
+    Sp_Atk: 'Sp. Atk',
+    Sp_Def: 'Sp. Def',
+    Height_m: 'Height (m)',
+    Weight_kg: 'Weight (kg)',
+    Pr_Male: 'Pr. Male',
+    Type_1: 'Primary Type',
+    Type_2: 'Secondary Type',
+    isLegendary: 'Legendary',
+    hasMegaEvolution: 'Mega Evolution'
+};
+
+/**
+ * Formats a column name for axis labels, tooltips and pickers.
+ * @param {string} column - The CSV column name, e.g. "Catch_Rate".
+ * @returns {string} A readable label, e.g. "Catch Rate".
+ */
+export function formatColumnLabel(column) {
+    return COLUMN_LABELS[column] || column.replace(/_/g, ' ');
+}
+
+/**
+ * Formats a categorical value for labels and legends.
+ * @param {string} column - The CSV column name.
+ * @param {*} value - The value, e.g. `true`, 3 or "bipedal_tailed".
+ * @returns {string} A readable label, e.g. "Legendary", "Gen 3" or "bipedal tailed".
+ */
+export function formatCategoryValue(column, value) {
+    if (typeof value === 'boolean' || value === 'true' || value === 'false') {
+        const isTrue = value === true || value === 'true';
+        return isTrue ? formatColumnLabel(column) : `Not ${formatColumnLabel(column).toLowerCase()}`;
+    }
+    if (column === 'Generation' && !isNaN(value)) return `Gen ${value}`; // Uploaded datasets may group by labels instead
+    return String(value).replace(/_/g, ' ');
+}
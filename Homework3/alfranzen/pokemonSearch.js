@@ -0,0 +1,185 @@
+import { createDashboardStore } from './dashboardStore.js';
+
+/**
+ * Number of suggestions listed below the search box.
+ * @private
+ * @type {number}
+ */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Scores how well a query matches a Pokémon. Digits (optionally after "#") match the `Number`;
+ * anything else matches the `Name`, best as a whole, then as a prefix, a substring, and finally
+ * as a subsequence (the query's letters in order, e.g. "pkch" for Pikachu) with fewer gaps
+ * scoring higher.
+ * @private
+ * @param {string} query - The trimmed, lower-case query.
+ * @param {Object} pokemon - A Pokémon row.
+ * @returns {number|null} The score (higher is better), or null if the Pokémon does not match.
+ */
+function scoreMatch(query, pokemon) {
+    const number = String(pokemon.Number);
+    const digits = query.replace(/^#/, "");
+    if (/^\d+$/.test(digits)) {
+        if (number === digits) return 1000;
+        return number.startsWith(digits) ? 500 - number.length : null;
+    }
+
+    const name = pokemon.Name.toLowerCase();
+    if (name === query) return 1000;
+    if (name.startsWith(query)) return 800;
+    const index = name.indexOf(query);
+    if (index !== -1) return 600 - index;
+
+    let position = -1;
+    let gaps = 0;
+    for (const char of query) {
+        const next = name.indexOf(char, position + 1);
+        if (next === -1) return null;
+        if (position !== -1) gaps += next - position - 1;
+        position = next;
+    }
+    return 300 - gaps;
+}
+
+/**
+ * Creates the header search box: typing lists the best fuzzy matches over `Name` and `Number`,
+ * and picking one (click, or arrow keys and Enter) selects that Pokémon dashboard-wide, so every
+ * chart focuses it: the PCP highlights its line, the ridgeline marks it on the x-axis and the
+ * stacked bar (or heatmap) outlines its segment. Matches hidden by the current filters are
+ * listed greyed out, as the charts can only show them once the filters allow it.
+ * Escape closes the suggestions; Escape on an empty box clears the selection. The box follows
+ * `selectedPokemon`, showing the name of a Pokémon selected anywhere else and emptying when it is cleared.
+ * @param {Array<Object>} data - The processed Pokémon dataset.
+ * @param {string} containerId - The CSS selector for the element holding the search box.
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
+ */
+export function createPokemonSearch(data, containerId, store = createDashboardStore()) {
+    const container = d3.select(containerId);
+    if (container.empty()) {
+        console.error(`Container element "${containerId}" not found.`);
+        return;
+    }
+    container.html(""); // Clear previous content
+
+    const input = container.append("input")
+        .attr("type", "search")
+        .attr("class", "pokemon-search-input")
+        .attr("placeholder", "Find a Pokémon by name or number…")
+        .attr("autocomplete", "off")
+        .attr("aria-label", "Find a Pokémon");
+    const suggestionList = container.append("ul")
+        .attr("class", "pokemon-search-suggestions")
+        .attr("role", "listbox")
+        .style("display", "none");
+
+    let suggestions = [];
+    let activeIndex = -1;
+
+    /**
+     * Lists the best matches for the current query, marking those hidden by the filters.
+     * @private
+     */
+    function updateSuggestions() {
+        const query = input.property("value").trim().toLowerCase();
+        if (!query) {
+            closeSuggestions();
+            return;
+        }
+        const visibleNames = new Set(store.filterData(data).map(d => d.Name));
+        suggestions = data
+            .map(pokemon => ({ pokemon, score: scoreMatch(query, pokemon) }))
+            .filter(match => match.score !== null)
+            .sort((a, b) => b.score - a.score || d3.ascending(+a.pokemon.Number, +b.pokemon.Number))
+            .slice(0, MAX_SUGGESTIONS)
+            .map(match => ({ ...match, isFiltered: !visibleNames.has(match.pokemon.Name) }));
+        activeIndex = suggestions.length > 0 ? 0 : -1;
+        drawSuggestions();
+    }
+
+    /**
+     * Draws the suggestion list, or a "no match" note.
+     * @private
+     */
+    function drawSuggestions() {
+        suggestionList.style("display", null).selectAll("li").remove();
+        if (suggestions.length === 0) {
+            suggestionList.append("li").attr("class", "pokemon-search-empty").text("No Pokémon found");
+            return;
+        }
+        suggestionList.selectAll("li")
+            .data(suggestions)
+            .join("li")
+                .attr("class", "pokemon-search-suggestion")
+                .attr("role", "option")
+                .classed("active", (d, i) => i === activeIndex)
+                .classed("filtered-out", d => d.isFiltered)
+                .attr("title", d => d.isFiltered ? "Hidden by the current filters" : null)
+                .html("")
+                .call(item => item.append("span").attr("class", "pokemon-search-number").text(d => `#${d.pokemon.Number}`))
+                .call(item => item.append("span").text(d => ` ${d.pokemon.Name}`))
+                .call(item => item.append("span").attr("class", "pokemon-search-types")
+                    .text(d => ` ${d.pokemon.Type_1}${d.pokemon.Type_2 && d.pokemon.Type_2 !== "None" ? " / " + d.pokemon.Type_2 : ""}`))
+                // mousedown, so the pick happens before the input's blur closes the list
+                .on("mousedown", (event, d) => {
+                    event.preventDefault();
+                    pick(d.pokemon);
+                });
+    }
+
+    /**
+     * Hides the suggestion list.
+     * @private
+     */
+    function closeSuggestions() {
+        suggestions = [];
+        activeIndex = -1;
+        suggestionList.style("display", "none").selectAll("li").remove();
+    }
+
+    /**
+     * Selects a Pokémon dashboard-wide and shows its name in the box.
+     * @private
+     * @param {Object} pokemon - The picked Pokémon.
+     */
+    function pick(pokemon) {
+        input.property("value", pokemon.Name);
+        closeSuggestions();
+        store.update({ selectedPokemon: pokemon.Name }, "search");
+    }
+
+    /**
+     * Shows the selected Pokémon's name in the box, or empties it.
+     * @private
+     * @param {string|null} pokemonName - `Name` of the selected Pokémon, or null.
+     */
+    function showSelection(pokemonName) {
+        input.property("value", pokemonName || "");
+        closeSuggestions();
+    }
+
+    input
+        .on("input", updateSuggestions)
+        .on("focus", updateSuggestions)
+        .on("blur", closeSuggestions)
+        .on("keydown", event => {
+            if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+                if (suggestions.length === 0) return;
+                event.preventDefault();
+                const step = event.key === "ArrowDown" ? 1 : -1;
+                activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+                suggestionList.selectAll("li.pokemon-search-suggestion").classed("active", (d, i) => i === activeIndex);
+            } else if (event.key === "Enter") {
+                event.preventDefault();
+                if (activeIndex !== -1) pick(suggestions[activeIndex].pokemon);
+            } else if (event.key === "Escape") {
+                if (!input.property("value") && suggestions.length === 0) store.update({ selectedPokemon: null }, "search");
+                closeSuggestions();
+            }
+        });
+
+    showSelection(store.getState().selectedPokemon);
+    store.subscribe("search", (state, changedKeys, source) => {
+        if (source !== "search" && changedKeys.includes("selectedPokemon")) showSelection(state.selectedPokemon);
+    });
+}
@@ -0,0 +1,193 @@
+/**
+ * @file Sortable table of Pokémon shown at the last drill-down level of the stacked bar chart
+ * and the type heatmap. Rows carry the `pokemon-name-item` class, so the charts can mark the
+ * selected and the pinned Pokémon in it.
+ */
+import { getComparisonColor, toggleComparedPokemon } from './comparisonTray.js';
+import { STAT_COLUMNS, formatColumnLabel } from './pokemonSchema.js';
+
+/**
+ * Short headers for the stat columns, to keep the table narrow (the full label is the tooltip).
+ * @private
+ * @type {Object<string, string>}
+ */
+const STAT_HEADERS = { HP: "HP", Attack: "Atk", Defense: "Def", Sp_Atk: "SpA", Sp_Def: "SpD", Speed: "Spe" };
+
+/**
+ * Columns of the table. Numeric columns sort numerically; `bar` columns get a sparkbar
+ * scaled to the column's maximum in the reference data.
+ * @private
+ * @type {Array<{key: string, header: string, numeric: boolean, bar: boolean}>}
+ */
+const TABLE_COLUMNS = [
+    { key: "Number", header: "#", numeric: true, bar: false },
+    { key: "Name", header: "Name", numeric: false, bar: false },
+    { key: "Total", header: "Total", numeric: true, bar: true },
+    ...STAT_COLUMNS.map(key => ({ key, header: STAT_HEADERS[key], numeric: true, bar: true }))
+];
+
+/**
+ * Draws the Pokémon as a table (Number, Name, Total and the six stats with sparkbars) inside
+ * a scrollable `foreignObject`, with a text filter on top. Clicking a header sorts by that
+ * column (again to reverse it); the order is kept in the store (`pokemonTableSort`) so it
+ * carries over to the next list. Clicking a row opens the Pokémon, shift-clicking pins it
+ * to the comparison tray.
+ * @param {Object} parent - D3 selection of the SVG group to draw into.
+ * @param {Array<Object>} pokemon - The Pokémon to list.
+ * @param {Object} store - The shared dashboard store.
+ * @param {Object} layout - Placement of the table inside `parent`.
+ * @param {number} layout.y - Top edge of the table.
+ * @param {number} layout.width - Width of the table.
+ * @param {number} layout.height - Height of the table (it scrolls beyond that).
+ * @param {number} [layout.animationDuration=750] - Duration of the fade-in.
+ * @param {Object} [options={}] - Behavior of the table.
+ * @param {string} [options.source="stackedBar"] - Name of the chart publishing store changes.
+ * @param {Array<Object>} [options.referenceData=pokemon] - Pokémon the sparkbars are scaled to, usually the full dataset.
+ * @param {function(Object): void} [options.onOpen] - Called with the clicked Pokémon, e.g. to open the detail panel.
+ *                                                   Without it, a click only selects the Pokémon.
+ */
+export function drawPokemonTable(parent, pokemon, store, { y, width, height, animationDuration = 750 }, { source = "stackedBar", referenceData = pokemon, onOpen = null } = {}) {
+    const columnMaxima = Object.fromEntries(TABLE_COLUMNS.filter(column => column.bar)
+        .map(column => [column.key, d3.max(referenceData, d => d[column.key]) || 1]));
+
+    // Use foreignObject to embed HTML for a scrollable table within SVG.
+    const wrapper = parent.append("foreignObject")
+        .attr("x", 0)
+        .attr("y", y)
+        .attr("width", width)
+        .attr("height", Math.max(10, height)) // Ensure positive height for foreignObject
+      .append("xhtml:div")
+        .attr("class", "pokemon-table-wrapper")
+        .style("height", "100%")
+        .style("display", "flex")
+        .style("flex-direction", "column")
+        .style("gap", "4px");
+
+    const filterInput = wrapper.append("input")
+        .attr("type", "search")
+        .attr("class", "pokemon-table-filter")
+        .attr("placeholder", `Filter ${pokemon.length} Pokémon by name or number…`)
+        .on("input", drawRows);
+
+    // Create a scrollable div for the table below the filter.
+    const scrollableDiv = wrapper.append("div")
+        .attr("class", "pokemon-list-scrollable")
+        .style("flex", "1")
+        .style("overflow", "auto"); // Scroll in both directions in narrow containers
+
+    const table = scrollableDiv.append("table").attr("class", "pokemon-table");
+    const headerCells = table.append("thead").append("tr")
+        .selectAll("th")
+        .data(TABLE_COLUMNS)
+        .join("th")
+            .attr("title", column => `Sort by ${column.key === "Number" ? "number" : formatColumnLabel(column.key)}`)
+            .text(column => column.header)
+            .on("click", (event, column) => {
+                const sort = getSort();
+                // A new column starts with its natural order: names A → Z, stats highest first
+                const descending = sort.column === column.key ? !sort.descending : column.numeric && column.key !== "Number";
+                store.update({ pokemonTableSort: { column: column.key, descending } }, source);
+                drawRows();
+            });
+    const tableBody = table.append("tbody");
+    const emptyMessage = wrapper.append("div")
+        .attr("class", "pokemon-table-empty")
+        .text("No Pokémon match the filter.");
+
+    /**
+     * Returns the table order from the store, or by name if its column is not in the table.
+     * @private
+     * @returns {{column: string, descending: boolean}} The sort column and direction.
+     */
+    function getSort() {
+        const { pokemonTableSort } = store.getState();
+        return pokemonTableSort && TABLE_COLUMNS.some(column => column.key === pokemonTableSort.column)
+            ? pokemonTableSort
+            : { column: "Name", descending: false };
+    }
+
+    /**
+     * Draws the rows matching the filter text, in the current order. Rows are keyed by name,
+     * so re-sorting moves the existing rows.
+     * @private
+     */
+    function drawRows() {
+        const sort = getSort();
+        const sortColumn = TABLE_COLUMNS.find(column => column.key === sort.column);
+        const query = filterInput.property("value").trim().toLowerCase().replace(/^#/, "");
+        const rows = pokemon
+            .filter(d => !query || d.Name.toLowerCase().includes(query) || String(d.Number) === query)
+            .sort((a, b) => {
+                const order = sortColumn.numeric ? d3.ascending(+a[sort.column], +b[sort.column]) : d3.ascending(a[sort.column], b[sort.column]);
+                return (sort.descending ? -order : order) || d3.ascending(a.Name, b.Name);
+            });
+
+        headerCells
+            .classed("sorted-ascending", column => column.key === sort.column && !sort.descending)
+            .classed("sorted-descending", column => column.key === sort.column && sort.descending);
+        emptyMessage.style("display", rows.length === 0 ? null : "none");
+
+        tableBody.selectAll("tr.pokemon-name-item")
+            .data(rows, d => d.Name)
+            .join(enter => {
+                const row = enter.append("tr")
+                    .attr("class", "pokemon-name-item")
+                    .attr("title", "Click for details, shift-click to compare")
+                    .on("click", (event, d) => {
+                        if (event.shiftKey) toggleComparedPokemon(store, d.Name, source);
+                        else if (onOpen) onOpen(d);
+                        else store.update({ selectedPokemon: d.Name }, source);
+                    });
+                row.selectAll("td")
+                    .data(d => TABLE_COLUMNS.map(column => ({ column, value: d[column.key] })))
+                    .join("td")
+                        .attr("class", cell => cell.column.numeric ? "numeric" : null)
+                        .each(function(cell) {
+                            const td = d3.select(this);
+                            if (!cell.column.bar) {
+                                td.text(cell.value);
+                                return;
+                            }
+                            td.append("span").attr("class", "sparkbar")
+                              .append("span").attr("class", "sparkbar-fill")
+                                .style("width", `${Math.max(0, Math.min(1, cell.value / columnMaxima[cell.column.key])) * 100}%`);
+                            td.append("span").text(cell.value);
+                        });
+                return row;
+            })
+            .order(); // Move the rows into the sorted order
+
+        // Rows added back by the filter or sort need the store's highlights again
+        const { selectedPokemon, comparedPokemon } = store.getState();
+        highlightSelectedRow(tableBody, selectedPokemon);
+        highlightComparedRows(tableBody, comparedPokemon);
+    }
+
+    drawRows();
+
+    wrapper
+        .style("opacity", 0) // Initial state for transition
+        .transition().duration(animationDuration) // Fade-in animation
+        .style("opacity", 1);
+}
+
+/**
+ * Marks the table row of the selected Pokémon (`selected-pokemon`) in every table inside a chart.
+ * @param {Object} parent - D3 selection of the chart container holding the table.
+ * @param {string|null} pokemonName - `Name` of the selected Pokémon, or null to clear the highlight.
+ */
+export function highlightSelectedRow(parent, pokemonName) {
+    parent.selectAll(".pokemon-name-item")
+        .classed("selected-pokemon", d => !!pokemonName && d.Name === pokemonName);
+}
+
+/**
+ * Marks the table rows pinned to the comparison tray with their slot color.
+ * @param {Object} parent - D3 selection of the chart container holding the table.
+ * @param {Array<string>} comparedPokemon - `Name`s pinned to the comparison tray.
+ */
+export function highlightComparedRows(parent, comparedPokemon) {
+    parent.selectAll(".pokemon-name-item")
+        .classed("compared-pokemon", d => comparedPokemon.includes(d.Name))
+        .style("border-left-color", d => getComparisonColor(comparedPokemon, d.Name));
+}
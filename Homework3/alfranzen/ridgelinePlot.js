@@ -1,14 +1,204 @@
+import { createDashboardStore } from './dashboardStore.js';
+import { KERNELS, BANDWIDTH_RULES, selectBandwidth, estimateDensity } from './densityEstimation.js';
+import { CATEGORICAL_COLUMNS, RIDGELINE_METRICS, getAvailableColumns, resolveRidgelineMetric, formatColumnLabel, formatCategoryValue } from './pokemonSchema.js';
+
+/**
+ * Orders offered for the ridgeline groups. Every order is computed on the full dataset, so
+ * slider positions don't move while other charts filter.
+ * @private
+ * @type {Array<{value: string, label: string}>}
+ */
+const GROUP_SORT_OPTIONS = [
+    { value: "key", label: "Name (A → Z)" },
+    { value: "median", label: "Median (low → high)" },
+    { value: "count", label: "Count (most first)" }
+];
+
 /**
- * Creates an interactive Ridgeline Plot showing the distribution of Total Stats
- * for a selected Generation, controlled by a slider and an animation play button.
+ * Time between two animation steps at normal speed, in milliseconds.
+ * @private
+ * @type {number}
+ */
+const BASE_ANIMATION_INTERVAL = 1000;
+
+/**
+ * Playback speed factors offered for the animation.
+ * @private
+ * @type {Array<number>}
+ */
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Easings offered for the curve transitions.
+ * @private
+ * @type {Object<string, {label: string, ease: function(number): number}>}
+ */
+const EASINGS = {
+    linear: { label: "Linear", ease: d3.easeLinear },
+    cubic: { label: "Smooth", ease: d3.easeCubicInOut },
+    back: { label: "Overshoot", ease: d3.easeBackOut },
+    bounce: { label: "Bounce", ease: d3.easeBounceOut },
+    elastic: { label: "Elastic", ease: d3.easeElasticOut.period(0.6) }
+};
+
+/**
+ * Summary statistic overlays that can be toggled on the density curves.
+ * @private
+ * @type {Array<{value: string, label: string}>}
+ */
+const STAT_OVERLAYS = [
+    { value: "mean", label: "Mean" },
+    { value: "median", label: "Median" },
+    { value: "quartiles", label: "Quartiles" },
+    { value: "iqr", label: "IQR band" },
+    { value: "boxplot", label: "Box plot" }
+];
+
+/**
+ * Formats summary statistics for the readout and the overlay tooltips.
+ * @private
+ * @type {function(number): string}
+ */
+const formatStat = d3.format(".4~r");
+
+/**
+ * Computes the summary statistics of a column over a set of Pokémon.
+ * @private
+ * @param {Array<Object>} pokemon - Pokémon with a numeric value in `column`.
+ * @param {string} column - Numeric column.
+ * @returns {Object|null} `n`, `mean`, `median`, `sd` (NaN below two values), `q1`, `q3`,
+ *          `min`/`max` with the Pokémon holding them (`minPokemon`/`maxPokemon`), and the box
+ *          plot whiskers `whiskerLow`/`whiskerHigh` (furthest values within 1.5 IQR of the box).
+ *          Null when there are no Pokémon.
+ */
+function summarizeColumn(pokemon, column) {
+    if (pokemon.length === 0) return null;
+    const values = pokemon.map(p => p[column]).sort(d3.ascending);
+    const q1 = d3.quantileSorted(values, 0.25);
+    const q3 = d3.quantileSorted(values, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    const minPokemon = d3.least(pokemon, p => p[column]);
+    const maxPokemon = d3.greatest(pokemon, p => p[column]);
+    return {
+        n: values.length,
+        mean: d3.mean(values),
+        median: d3.quantileSorted(values, 0.5),
+        sd: values.length > 1 ? d3.deviation(values) : NaN,
+        q1,
+        q3,
+        min: minPokemon[column],
+        max: maxPokemon[column],
+        minPokemon,
+        maxPokemon,
+        whiskerLow: values.find(v => v >= q1 - fence),
+        whiskerHigh: values.findLast(v => v <= q3 + fence)
+    };
+}
+
+/**
+ * Two-sample Kolmogorov–Smirnov test: the largest gap between the empirical distribution
+ * functions of two samples, with its asymptotic p-value.
+ * @private
+ * @param {Array<number>} a - First sample (non-empty).
+ * @param {Array<number>} b - Second sample (non-empty).
+ * @returns {{d: number, p: number}} The KS statistic D and the p-value.
+ */
+function kolmogorovSmirnov(a, b) {
+    const x = a.slice().sort(d3.ascending);
+    const y = b.slice().sort(d3.ascending);
+    let i = 0, j = 0, d = 0;
+    while (i < x.length && j < y.length) {
+        const v = Math.min(x[i], y[j]);
+        while (i < x.length && x[i] === v) i++; // Step over ties in both samples at once
+        while (j < y.length && y[j] === v) j++;
+        d = Math.max(d, Math.abs(i / x.length - j / y.length));
+    }
+
+    const effectiveN = x.length * y.length / (x.length + y.length);
+    const lambda = (Math.sqrt(effectiveN) + 0.12 + 0.11 / Math.sqrt(effectiveN)) * d;
+    if (lambda < 0.2) return { d, p: 1 }; // The series converges too slowly here, and p is 1 anyway
+    let p = 0;
+    for (let k = 1; k <= 100; k++) {
+        const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+        p += term;
+        if (Math.abs(term) < 1e-10) break;
+    }
+    return { d, p: Math.max(0, Math.min(1, p)) };
+}
+
+/**
+ * Reads a density curve at any x by linear interpolation between its points.
+ * @private
+ * @param {Array<Array<number>>} density - `[x, density]` pairs sorted by x.
+ * @param {number} x - Position, in the units of the curve's x values.
+ * @returns {number} The density, 0 outside the curve.
+ */
+function densityAt(density, x) {
+    const i = d3.bisector(p => p[0]).left(density, x);
+    if (i === 0) return density.length > 0 && density[0][0] === x ? density[0][1] : 0;
+    if (i === density.length) return 0;
+    const [x0, y0] = density[i - 1];
+    const [x1, y1] = density[i];
+    return x1 === x0 ? y1 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+/**
+ * Number of points each density curve is evaluated at. Kept constant across metrics so
+ * curves can be interpolated point by point when the metric changes.
+ * @private
+ * @type {number}
+ */
+const DENSITY_POINT_COUNT = 200;
+
+/**
+ * Duration of the curve and axis animation when the metric or the x scale type changes.
+ * @private
+ * @type {number}
+ */
+const METRIC_TRANSITION_DURATION = 750;
+
+/**
+ * Height of the strip along the x-axis in which the range brush is dragged, in pixels.
+ * @private
+ * @type {number}
+ */
+const RANGE_BRUSH_HEIGHT = 24;
+
+/**
+ * Creates an interactive Ridgeline Plot showing the distribution of a numeric stat (`Total` by
+ * default, chosen with `ridgelineMetric`) for a selected group, controlled by a slider and
+ * an animation play button. The x-axis can be switched to a log scale for skewed metrics.
+ * Groups are the values of a categorical column (`ridgelineGroupBy`, Generation by default),
+ * ordered by name, median or count (`ridgelineGroupSort`).
+ * In "all" mode (`ridgelineMode`) every group is drawn as an overlapping ridge on a band
+ * y-axis instead, and the slider and animation highlight the active ridge.
+ * The density kernel and bandwidth (manual, or Silverman's/Scott's rule per group) are
+ * configurable, and an optional rug marks each Pokémon's value under the curves.
+ * Mean, median and quartile lines, an IQR band and a box plot strip can be overlaid on the
+ * curves (`ridgelineOverlays`); a readout next to the group name summarizes the displayed group.
+ * A group can be pinned as a baseline (`ridgelineBaselineGroup`): it stays drawn as a dashed
+ * outline while the slider or animation moves, or the chart plots the signed density difference
+ * to it (`ridgelineDifference`). The header then shows the two-sample KS statistic against it.
+ * Playback has a speed, loop and reverse setting and an easing for the transitions, and can be
+ * stepped with buttons or the keyboard (space plays/pauses, arrow keys step).
+ * Densities are computed from the rows passing the other charts' filters, and the
+ * Pokémon selected anywhere in the dashboard is marked on the x-axis. Dragging along the
+ * x-axis brushes a range of the metric (`ridgelineRange`), which filters the other charts.
+ * The displayed group (`generationIndex`) and the play state (`ridgelinePlaying`) are
+ * kept in the store, so they survive re-renders and can be restored from the URL.
  * @param {Array<Object>} data - The processed Pokemon dataset. Each object is expected
- * to have `Generation` and `Total` properties.
+ * to have the columns of `NUMERIC_COLUMNS` and `CATEGORICAL_COLUMNS`.
  * @param {string} containerId - The CSS selector for the HTML div where the chart will be rendered.
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
  */
-export function createRidgelinePlot(data, containerId) {
+export function createRidgelinePlot(data, containerId, store = createDashboardStore()) {
     const mainContainer = d3.select(containerId);
     mainContainer.html(""); // Clear previous content
 
+    // Only offer the columns this dataset has values for
+    const metricOptions = getAvailableColumns(data, RIDGELINE_METRICS, { numeric: true });
+    const groupByOptions = getAvailableColumns(data, CATEGORICAL_COLUMNS);
+
     // --- Flexbox layout for mainContainer ---
     mainContainer
         .style("display", "flex")
@@ -25,18 +215,29 @@ export function createRidgelinePlot(data, containerId) {
         .style("align-items", "center")
         .style("flex-shrink", "0"); // Prevent shrinking
 
-    titleIndicatorWrapper.append("h3")
+    const chartTitle = titleIndicatorWrapper.append("h3")
         .attr("class", "ridgeline-chart-title")
         .style("font-size", "14px")
         .style("text-decoration", "underline")
-        .style("margin", "0 15px 0 0")
-        .text("Distribution of Total Stats by Generation");
+        .style("margin", "0 15px 0 0");
 
     const generationIndicator = titleIndicatorWrapper.append("div")
         .attr("class", "generation-indicator")
         .style("font-size", "1.0em")
         .style("font-weight", "bold");
 
+    const statsReadout = titleIndicatorWrapper.append("div")
+        .attr("class", "ridgeline-stats-readout")
+        .style("font-size", "0.8em")
+        .style("color", "#555")
+        .style("margin-left", "10px");
+
+    const comparisonReadout = titleIndicatorWrapper.append("div")
+        .attr("class", "ridgeline-comparison-readout")
+        .style("font-size", "0.8em")
+        .style("color", "#555")
+        .style("margin-left", "10px");
+
     // --- Chart Area (SVG) ---
     const chartContainer = mainContainer.append("div")
         .attr("class", "ridgeline-chart-area")
@@ -76,66 +277,558 @@ export function createRidgelinePlot(data, containerId) {
       .append("g")
         .attr("transform", `translate(${margin.left},${margin.top})`);
 
-    const generations = [...new Set(data.map(d => d.Generation))]
-                         .filter(g => !isNaN(g))
-                         .sort((a, b) => a - b)
-                         .map(String);
+    let metric, logScale, xScale, densityPoints, toDensitySpace, fromDensitySpace;
 
-    const dataByGenArray = generations.map(genKey => {
-        const genValues = data.filter(d => String(d.Generation) === genKey && !isNaN(d.Total));
-        return {
-            key: genKey,
-            values: genValues || []
-        };
-    }).filter(d => d.values.length > 0);
+    /**
+     * Checks whether a Pokémon has a value for the current metric that the x scale can show.
+     * @private
+     * @param {Object} d - A Pokémon.
+     * @returns {boolean} True for a number (a positive one on a log scale).
+     */
+    function hasMetricValue(d) {
+        return !isNaN(d[metric]) && (!logScale || d[metric] > 0);
+    }
 
+    /**
+     * Returns the axis label of the current metric.
+     * @private
+     * @returns {string} The label, e.g. "Total Stats" or "Weight (kg)".
+     */
+    function getMetricLabel() {
+        return metric === "Total" ? "Total Stats" : formatColumnLabel(metric);
+    }
 
-    if (dataByGenArray.length === 0) {
-        svg.append("text").attr("x", width/2).attr("y", height/2).attr("text-anchor","middle").text("No valid generation data.");
-        generationIndicator.text("No data to display.");
-        if (controlsContainer) controlsContainer.style("display", "none"); 
-        return;
+    /**
+     * Reads the metric and scale type from the store and rebuilds the x scale and the points the
+     * densities are evaluated at. On a log scale the densities are estimated on log10 values, so
+     * the kernels stay symmetric on screen; non-positive values are left out.
+     * @private
+     */
+    function configureMetric() {
+        const { ridgelineMetric, ridgelineLogScale } = store.getState();
+        metric = resolveRidgelineMetric(data, ridgelineMetric);
+        logScale = ridgelineLogScale && canUseLogScale(metric);
+        toDensitySpace = logScale ? Math.log10 : v => v;
+        fromDensitySpace = logScale ? t => Math.pow(10, t) : t => t;
+
+        const extent = d3.extent(data.filter(hasMetricValue), d => d[metric]);
+        const domain = extent[0] === undefined ? (logScale ? [1, 10] : [0, 1]) : extent;
+        xScale = logScale
+            ? d3.scaleLog().domain(domain).range([0, width]) // Not niced: that would stretch the domain to whole powers of ten
+            : d3.scaleLinear().domain(domain).range([0, width]).nice();
+        const [lo, hi] = xScale.domain().map(toDensitySpace);
+        densityPoints = d3.range(DENSITY_POINT_COUNT).map(i => lo + (hi - lo) * i / (DENSITY_POINT_COUNT - 1));
     }
 
-    const totalExtent = d3.extent(data, d => d.Total);
-    if (totalExtent[0] === undefined || isNaN(totalExtent[0])) {
-         svg.append("text").attr("x", width/2).attr("y", height/2).attr("text-anchor","middle").text("Invalid 'Total' stat data.");
-         if (controlsContainer) controlsContainer.style("display", "none");
-         return;
+    /**
+     * Checks whether a metric can be shown on a log scale (every value positive).
+     * @private
+     * @param {string} column - Numeric column.
+     * @returns {boolean} True if the column has no zero or negative values.
+     */
+    function canUseLogScale(column) {
+        return d3.min(data, d => isNaN(d[column]) ? undefined : d[column]) > 0;
     }
-    const xScale = d3.scaleLinear().domain(totalExtent).range([0, width]).nice();
-    const yDensityScale = d3.scaleLinear().range([height, 0]);
+    configureMetric();
+
+    let groupBy, groupKeys, groupColor;
 
-    function kernelDensityEstimator(kernel, X) {
-      return function(V) { return X.map(x => [x, d3.mean(V, v => kernel(x - v))]); }
+    /**
+     * Returns a Pokémon's group key for the current grouping column.
+     * @private
+     * @param {Object} d - A Pokémon.
+     * @returns {string} The key, e.g. "3", "Fire" or "true".
+     */
+    function groupKeyOf(d) {
+        return String(d[groupBy]);
     }
-    function kernelEpanechnikov(k) {
-      return function(v) { return Math.abs(v /= k) <= 1 ? 0.75 * (1 - v * v) / k : 0; };
+
+    /**
+     * Formats a group key for labels.
+     * @private
+     * @param {string} key - Group key.
+     * @returns {string} e.g. "Gen 3" or "Legendary".
+     */
+    function formatGroupKey(key) {
+        return formatCategoryValue(groupBy, key);
     }
-    const kde = kernelDensityEstimator(kernelEpanechnikov(20), xScale.ticks(80));
+
+    /**
+     * Lists the group keys of the current grouping column over the full dataset, so every group
+     * keeps its slot (possibly empty) while other charts filter.
+     * @private
+     * @param {string} sort - "key", "median" (of the current metric) or "count".
+     * @returns {{byName: Array<string>, sorted: Array<string>}} The keys in name order
+     *          (numerically for numeric keys) and in the requested order.
+     */
+    function listGroupKeys(sort) {
+        const rowsByKey = d3.group(data.filter(d => d[groupBy] !== undefined && d[groupBy] !== "" && !Number.isNaN(d[groupBy])), groupKeyOf);
+        const isNumeric = [...rowsByKey.keys()].every(key => !isNaN(key));
+        const byName = [...rowsByKey.keys()].sort((a, b) => isNumeric ? a - b : d3.ascending(formatGroupKey(a), formatGroupKey(b)));
+
+        if (sort === "median") {
+            // Groups without a value for the metric go last
+            const median = key => d3.median(rowsByKey.get(key).filter(hasMetricValue), d => d[metric]) ?? Infinity;
+            return { byName, sorted: byName.slice().sort((a, b) => median(a) - median(b)) };
+        }
+        if (sort === "count") {
+            return { byName, sorted: byName.slice().sort((a, b) => rowsByKey.get(b).length - rowsByKey.get(a).length) };
+        }
+        return { byName, sorted: byName };
+    }
+
+    /**
+     * Reads the grouping column and order from the store and rebuilds the group keys and their
+     * colors. Colors follow the name order, so re-sorting the groups keeps them.
+     * @private
+     */
+    function configureGroups() {
+        const { ridgelineGroupBy, ridgelineGroupSort } = store.getState();
+        groupBy = groupByOptions.includes(ridgelineGroupBy) ? ridgelineGroupBy : "Generation";
+        const { byName, sorted } = listGroupKeys(ridgelineGroupSort);
+        groupKeys = sorted;
+        groupColor = d3.scaleOrdinal(byName, byName.length <= 10 ? d3.schemeCategory10 : d3.quantize(d3.interpolateRainbow, byName.length + 1));
+    }
+    configureGroups();
+
+    /**
+     * Groups the rows passing the other charts' filters by the grouping column, in `groupKeys` order.
+     * @private
+     * @returns {Array<{key: string, values: Array<Object>}>} One entry per group.
+     */
+    function buildGroups() {
+        const rowsByKey = d3.group(store.filterData(data, "ridgeline").filter(hasMetricValue), groupKeyOf);
+        return groupKeys.map(key => ({
+            key,
+            values: rowsByKey.get(key) || []
+        }));
+    }
+    let dataByGroupArray = buildGroups();
+
+
+    if (dataByGroupArray.length === 0) {
+        svg.append("text").attr("x", width/2).attr("y", height/2).attr("text-anchor","middle").text("No valid group data.");
+        generationIndicator.text("No data to display.");
+        if (controlsContainer) controlsContainer.style("display", "none"); 
+        return;
+    }
+
+    const yDensityScale = d3.scaleLinear().range([height, 0]);
 
     const areaGenerator = d3.area()
         .curve(d3.curveBasis)
         .x(p => xScale(p[0]))
-        .y0(height)
+        .y0(() => yDensityScale(0)) // The bottom of the chart, except in difference mode
         .y1(p => yDensityScale(p[1]));
+    const baselineLineGenerator = d3.line()
+        .curve(d3.curveBasis)
+        .x(p => xScale(p[0]))
+        .y(p => yDensityScale(p[1]));
 
-    const xAxis = d3.axisBottom(xScale).ticks(Math.max(2, Math.floor(width / 80)));
-    svg.append("g").attr("class", "x-axis").attr("transform", `translate(0, ${height})`).call(xAxis);
+    const xAxisGroup = svg.append("g").attr("class", "x-axis").attr("transform", `translate(0, ${height})`);
     const yAxisGroup = svg.append("g").attr("class", "y-axis");
 
-    svg.append("text").attr("class", "axis-label").attr("x", width / 2).attr("y", height + margin.bottom - 10).style("text-anchor", "middle").text("Total Stats");
+    const xAxisLabel = svg.append("text").attr("class", "axis-label").attr("x", width / 2).attr("y", height + margin.bottom - 10).style("text-anchor", "middle");
+
+    /**
+     * Redraws the x-axis and the metric labels for the current metric.
+     * @private
+     * @param {number} [duration=0] - Axis transition duration.
+     */
+    function updateMetricAxis(duration = 0) {
+        const xAxis = d3.axisBottom(xScale).ticks(Math.max(2, Math.floor(width / 80)), logScale ? "~g" : undefined);
+        (duration > 0 ? xAxisGroup.transition().duration(duration) : xAxisGroup).call(xAxis);
+        xAxisLabel.text(logScale ? `${getMetricLabel()} (log scale)` : getMetricLabel());
+        chartTitle.text(`Distribution of ${getMetricLabel()} by ${formatColumnLabel(groupBy)}`);
+    }
+    updateMetricAxis();
     svg.append("text").attr("class", "axis-label axis-label-y")
         .attr("transform", "rotate(-90)")
         .attr("x", -height / 2).attr("y", -margin.left + 20)
         .style("text-anchor", "middle").text("Number of Pokémon");
 
+    // --- Full Ridgeline Mode: one band per group, ridges rising above their baseline ---
+    const groupBandScale = d3.scaleBand().paddingInner(0);
+    const ridgeHeightScale = d3.scaleLinear();
+    const ridgeAreaGenerator = d3.area()
+        .curve(d3.curveBasis)
+        .x(p => xScale(p[0]))
+        .y0(0)
+        .y1(p => -ridgeHeightScale(p[1]));
+    const ridgesGroup = svg.append("g")
+        .attr("class", "ridgeline-ridges")
+        .style("display", "none");
+
+    // Shade behind the curves marking the brushed range (the brush itself lies along the x-axis).
+    const rangeShade = svg.insert("rect", ".ridgeline-ridges")
+        .attr("class", "ridgeline-range-shade")
+        .attr("y", 0)
+        .attr("height", height)
+        .style("display", "none");
+
     const animatedPath = svg.append("path")
         .attr("class", "animated-density-area")
         .style("fill-opacity", 0.7)
         .style("stroke", "#333")
         .style("stroke-width", "1px");
 
+    // Baseline comparison (single-group mode): the pinned group's outline, or in difference mode
+    // the zero line and the part of the difference below it (`animatedPath` draws the part above).
+    const comparisonLayer = svg.append("g").attr("class", "ridgeline-comparison");
+    const negativeDifferencePath = comparisonLayer.append("path")
+        .attr("class", "ridgeline-difference-negative")
+        .style("display", "none");
+    const zeroLine = comparisonLayer.append("line")
+        .attr("class", "ridgeline-zero-line")
+        .attr("x1", 0).attr("x2", width)
+        .style("display", "none");
+    const baselinePath = comparisonLayer.append("path")
+        .attr("class", "ridgeline-baseline-curve")
+        .style("display", "none");
+
+    // Summary statistic overlays of the displayed group (single-group mode), on the x-axis baseline.
+    const statsGroup = svg.append("g")
+        .attr("class", "ridgeline-stats")
+        .attr("transform", `translate(0, ${height})`);
+
+    // Rug marks of the displayed group (single-group mode), along the x-axis.
+    const rugGroup = svg.append("g")
+        .attr("class", "ridgeline-rug")
+        .attr("transform", `translate(0, ${height})`);
+
+    // Marker for the Pokémon selected in any chart, drawn above the density area.
+    const selectionMarker = svg.append("g")
+        .attr("class", "ridgeline-selection-marker")
+        .style("display", "none");
+    selectionMarker.append("line").attr("y1", 0).attr("y2", height);
+    selectionMarker.append("text").attr("y", 10).attr("dx", 4);
+
+    // --- Range Brush (along the x-axis, so it does not compete with clicks on the ridges) ---
+    const rangeBrush = d3.brushX()
+        .extent([[0, height], [width, height + RANGE_BRUSH_HEIGHT]])
+        .on("start brush end", rangeBrushed);
+    const rangeBrushGroup = svg.append("g")
+        .attr("class", "ridgeline-range-brush")
+        .call(rangeBrush);
+    rangeBrushGroup.select(".overlay")
+        .append("title").text("Drag along the axis to filter the other charts to a range");
+
+    /**
+     * Brush listener: shades the brushed range live and publishes it as a value range of the
+     * metric when the gesture ends (null when the brush is cleared).
+     * @private
+     * @param {d3.D3BrushEvent} event - The brush event.
+     */
+    function rangeBrushed(event) {
+        if (!event.sourceEvent) return; // Ignore programmatic moves made by `syncRangeBrush`
+        const range = event.selection ? event.selection.map(x => xScale.invert(x)).sort(d3.ascending) : null;
+        drawRangeShade(range);
+        if (event.type === "end") store.update({ ridgelineRange: range }, "ridgeline");
+    }
+
+    /**
+     * Shades a value range of the metric behind the curves, or hides the shade.
+     * @private
+     * @param {Array<number>|null} range - `[min, max]` of the metric, or null.
+     */
+    function drawRangeShade(range) {
+        if (!range) {
+            rangeShade.style("display", "none");
+            return;
+        }
+        const [x0, x1] = range.map(value => Math.max(0, Math.min(width, xScale(value))));
+        rangeShade.style("display", null).attr("x", x0).attr("width", Math.max(0, x1 - x0));
+    }
+
+    /**
+     * Moves the brush and the shade to the range in the store, e.g. after the x scale changed.
+     * @private
+     */
+    function syncRangeBrush() {
+        const { ridgelineRange } = store.getState();
+        drawRangeShade(ridgelineRange);
+        rangeBrushGroup.call(rangeBrush.move, ridgelineRange
+            ? ridgelineRange.map(value => Math.max(0, Math.min(width, xScale(value))))
+            : null);
+    }
+    syncRangeBrush();
+
+    /**
+     * Moves the selection marker to the selected Pokémon's value of the metric, or hides it.
+     * @private
+     * @param {string|null} pokemonName - `Name` of the selected Pokémon, or null.
+     */
+    function updateSelectionMarker(pokemonName) {
+        const pokemon = pokemonName ? data.find(p => p.Name === pokemonName) : null;
+        if (!pokemon || !hasMetricValue(pokemon)) {
+            selectionMarker.style("display", "none");
+            return;
+        }
+        const x = xScale(pokemon[metric]);
+        selectionMarker.style("display", null)
+            .attr("transform", `translate(${x}, 0)`);
+        selectionMarker.select("text")
+            .attr("text-anchor", x > width / 2 ? "end" : "start")
+            .attr("dx", x > width / 2 ? -4 : 4)
+            .text(`${pokemon.Name} (${pokemon[metric]})`);
+    }
+
+    // --- Metric, View Mode and Overlap Controls ---
+    const modeControls = controlsContainer.append("div")
+        .attr("class", "ridgeline-mode-controls")
+        .style("display", "flex")
+        .style("flex-wrap", "wrap")
+        .style("justify-content", "center")
+        .style("align-items", "center")
+        .style("gap", "10px")
+        .style("font-size", "0.85em");
+
+    const metricSelect = modeControls.append("label").text("Metric: ")
+        .append("select")
+        .attr("class", "ridgeline-metric")
+        .on("change", function() { store.update({ ridgelineMetric: this.value, ridgelineRange: null }, "ridgeline"); });
+    metricSelect.selectAll("option")
+        .data(metricOptions)
+        .join("option")
+            .attr("value", col => col)
+            .text(col => formatColumnLabel(col));
+
+    const logScaleLabel = modeControls.append("label").text(" Log scale");
+    const logScaleCheckbox = logScaleLabel.insert("input", ":first-child")
+        .attr("type", "checkbox")
+        .attr("class", "ridgeline-log-scale")
+        .on("change", function() { store.update({ ridgelineLogScale: this.checked }, "ridgeline"); });
+
+    /**
+     * Syncs the metric controls with the store. The log option is disabled for metrics with
+     * zero or negative values.
+     * @private
+     */
+    function syncMetricControls() {
+        const logAvailable = canUseLogScale(metric);
+        metricSelect.property("value", metric);
+        logScaleCheckbox.property("checked", logScale).property("disabled", !logAvailable);
+        logScaleLabel.style("opacity", logAvailable ? 1 : 0.5)
+            .attr("title", logAvailable ? null : `${formatColumnLabel(metric)} has zero or negative values`);
+    }
+    syncMetricControls();
+
+    const modeSelect = modeControls.append("label").text("View: ")
+        .append("select")
+        .attr("class", "ridgeline-mode")
+        .on("change", function() { store.update({ ridgelineMode: this.value }, "ridgeline"); });
+    modeSelect.selectAll("option")
+        .data([{ value: "single", label: "One group (animated)" }, { value: "all", label: "All groups (ridgeline)" }])
+        .join("option")
+            .attr("value", d => d.value)
+            .text(d => d.label);
+
+    const groupBySelect = modeControls.append("label").text("Group by: ")
+        .append("select")
+        .attr("class", "ridgeline-group-by")
+        .on("change", function() {
+            store.update({ ridgelineGroupBy: this.value, generationIndex: 0, ridgelineBaselineGroup: null, ridgelineDifference: false }, "ridgeline");
+        });
+    groupBySelect.selectAll("option")
+        .data(groupByOptions)
+        .join("option")
+            .attr("value", col => col)
+            .text(col => formatColumnLabel(col));
+
+    const groupSortSelect = modeControls.append("label").text("Sort: ")
+        .append("select")
+        .attr("class", "ridgeline-group-sort")
+        .on("change", function() {
+            // Keep showing the same group at its new position
+            const groupIdx = listGroupKeys(this.value).sorted.indexOf(groupKeys[displayedGroupIndex]);
+            store.update({ ridgelineGroupSort: this.value, generationIndex: Math.max(0, groupIdx) }, "ridgeline");
+        });
+    groupSortSelect.selectAll("option")
+        .data(GROUP_SORT_OPTIONS)
+        .join("option")
+            .attr("value", d => d.value)
+            .text(d => d.label);
+
+    /**
+     * Syncs the grouping controls with the store.
+     * @private
+     */
+    function syncGroupControls() {
+        groupBySelect.property("value", groupBy);
+        groupSortSelect.property("value", store.getState().ridgelineGroupSort);
+    }
+    syncGroupControls();
+
+    const overlapLabel = modeControls.append("label")
+        .attr("class", "ridgeline-overlap-control")
+        .text("Overlap: ");
+    const overlapInput = overlapLabel.append("input")
+        .attr("type", "range")
+        .attr("min", 0.5)
+        .attr("max", 3)
+        .attr("step", 0.1)
+        .style("vertical-align", "middle")
+        .on("input", function() { store.update({ ridgelineOverlap: +this.value }, "ridgeline"); });
+
+    // --- Density Estimation Controls ---
+    const kdeControls = controlsContainer.append("div")
+        .attr("class", "ridgeline-kde-controls")
+        .style("display", "flex")
+        .style("flex-wrap", "wrap")
+        .style("justify-content", "center")
+        .style("align-items", "center")
+        .style("gap", "10px")
+        .style("font-size", "0.85em");
+
+    const kernelSelect = kdeControls.append("label").text("Kernel: ")
+        .append("select")
+        .attr("class", "ridgeline-kernel")
+        .on("change", function() { store.update({ kdeKernel: this.value }, "ridgeline"); });
+    kernelSelect.selectAll("option")
+        .data(Object.entries(KERNELS))
+        .join("option")
+            .attr("value", ([key]) => key)
+            .text(([, kernel]) => kernel.label);
+
+    const bandwidthModeSelect = kdeControls.append("label").text("Bandwidth: ")
+        .append("select")
+        .attr("class", "ridgeline-bandwidth-mode")
+        .on("change", function() { store.update({ kdeBandwidthMode: this.value }, "ridgeline"); });
+    bandwidthModeSelect.selectAll("option")
+        .data([["manual", "Manual"]].concat(Object.entries(BANDWIDTH_RULES).map(([key, rule]) => [key, `${rule.label}'s rule`])))
+        .join("option")
+            .attr("value", ([key]) => key)
+            .text(([, label]) => label);
+
+    const bandwidthInput = kdeControls.append("input")
+        .attr("class", "ridgeline-bandwidth")
+        .attr("type", "range")
+        .attr("min", 0.5)
+        .attr("max", 15)
+        .attr("step", 0.5)
+        .attr("title", "Bandwidth in percent of the x-axis range")
+        .style("vertical-align", "middle")
+        .on("input", function() { store.update({ kdeBandwidthPercent: +this.value }, "ridgeline"); });
+    const bandwidthReadout = kdeControls.append("span")
+        .attr("class", "ridgeline-bandwidth-readout")
+        .style("color", "#555")
+        .style("min-width", "55px");
+
+    const rugCheckbox = kdeControls.append("label").text(" Rug")
+        .insert("input", ":first-child")
+        .attr("type", "checkbox")
+        .attr("class", "ridgeline-rug-toggle")
+        .on("change", function() { store.update({ showRug: this.checked }, "ridgeline"); });
+
+    /**
+     * Syncs the density controls with the store.
+     * @private
+     */
+    function syncKdeControls() {
+        const { kdeKernel, kdeBandwidthMode, kdeBandwidthPercent, showRug } = store.getState();
+        kernelSelect.property("value", kdeKernel);
+        bandwidthModeSelect.property("value", kdeBandwidthMode);
+        bandwidthInput.property("value", kdeBandwidthPercent).style("display", kdeBandwidthMode === "manual" ? null : "none");
+        rugCheckbox.property("checked", showRug);
+    }
+    syncKdeControls();
+
+    // --- Summary Statistic Overlay Toggles ---
+    const statsControls = controlsContainer.append("div")
+        .attr("class", "ridgeline-stats-controls")
+        .style("display", "flex")
+        .style("flex-wrap", "wrap")
+        .style("justify-content", "center")
+        .style("align-items", "center")
+        .style("gap", "10px")
+        .style("font-size", "0.85em");
+    statsControls.append("span").text("Overlays:");
+    const overlayCheckboxes = statsControls.selectAll("label")
+        .data(STAT_OVERLAYS)
+        .join("label")
+            .text(d => ` ${d.label}`)
+        .insert("input", ":first-child")
+            .attr("type", "checkbox")
+            .attr("class", d => `ridgeline-overlay-toggle overlay-${d.value}`)
+            .on("change", function(event, d) {
+                const overlays = store.getState().ridgelineOverlays.filter(key => key !== d.value);
+                // Kept in STAT_OVERLAYS order, so the state doesn't depend on the click order
+                const next = this.checked ? STAT_OVERLAYS.map(o => o.value).filter(key => key === d.value || overlays.includes(key)) : overlays;
+                store.update({ ridgelineOverlays: next }, "ridgeline");
+            });
+
+    /**
+     * Syncs the overlay toggles with the store.
+     * @private
+     */
+    function syncStatsControls() {
+        const overlays = store.getState().ridgelineOverlays;
+        overlayCheckboxes.property("checked", d => overlays.includes(d.value));
+    }
+    syncStatsControls();
+
+    // Pins the displayed group as the baseline, or unpins it if it already is
+    const pinBaselineButton = statsControls.append("button")
+        .attr("class", "ridgeline-pin-baseline")
+        .on("click", () => {
+            const key = dataByGroupArray[displayedGroupIndex]?.key ?? null;
+            const isPinned = key === store.getState().ridgelineBaselineGroup;
+            store.update(isPinned ? { ridgelineBaselineGroup: null, ridgelineDifference: false } : { ridgelineBaselineGroup: key }, "ridgeline");
+        });
+    const differenceLabel = statsControls.append("label").text(" Difference");
+    const differenceCheckbox = differenceLabel.insert("input", ":first-child")
+        .attr("type", "checkbox")
+        .attr("class", "ridgeline-difference-toggle")
+        .on("change", function() { store.update({ ridgelineDifference: this.checked }, "ridgeline"); });
+
+    /**
+     * Returns the pinned baseline group, with the rows passing the dashboard filters.
+     * @private
+     * @returns {{key: string, values: Array<Object>}|null} The group, or null if none is pinned
+     *          (or the pinned key is not a group of the current grouping column).
+     */
+    function getBaselineGroup() {
+        const baselineKey = store.getState().ridgelineBaselineGroup;
+        return dataByGroupArray.find(groupData => groupData.key === baselineKey) || null;
+    }
+
+    /**
+     * Syncs the baseline controls with the store and the displayed group.
+     * @private
+     */
+    function syncBaselineControls() {
+        const baseline = getBaselineGroup();
+        const displayedKey = dataByGroupArray[displayedGroupIndex]?.key;
+        pinBaselineButton
+            .text(baseline && baseline.key === displayedKey ? "Unpin baseline" : "Pin as baseline")
+            .attr("title", baseline ? `Baseline: ${formatGroupKey(baseline.key)}` : "Keep this group drawn as a dashed outline");
+        differenceCheckbox
+            .property("checked", Boolean(baseline) && store.getState().ridgelineDifference)
+            .property("disabled", !baseline);
+        differenceLabel.style("opacity", baseline ? 1 : 0.5);
+    }
+
+    /**
+     * Shows the KS statistic of the displayed group against the baseline in the header.
+     * @private
+     * @param {{key: string, values: Array<Object>}} groupData - The displayed group.
+     * @param {{key: string, values: Array<Object>}|null} baseline - The baseline group.
+     */
+    function updateComparisonReadout(groupData, baseline) {
+        comparisonReadout.html("");
+        if (!baseline || baseline.key === groupData.key) return;
+        comparisonReadout.append("span").text("vs ");
+        comparisonReadout.append("span").style("color", groupColor(baseline.key)).text(formatGroupKey(baseline.key));
+        if (groupData.values.length === 0 || baseline.values.length === 0) {
+            comparisonReadout.append("span").text(": KS n/a");
+            return;
+        }
+        const { d, p } = kolmogorovSmirnov(groupData.values.map(v => v[metric]), baseline.values.map(v => v[metric]));
+        comparisonReadout.append("span")
+            .attr("title", "Two-sample Kolmogorov–Smirnov test: largest gap between the two cumulative distributions")
+            .text(`: KS D = ${d3.format(".3f")(d)}, p ${p < 0.001 ? "< 0.001" : "= " + d3.format(".3f")(p)}`);
+    }
+
     // --- Slider and Play Button Styling ---
     const sliderContainer = controlsContainer.append("div")
         .style("width", "100%") 
@@ -144,13 +837,34 @@ export function createRidgelinePlot(data, containerId) {
     const slider = sliderContainer.append("input")
         .attr("type", "range")
         .attr("min", 0)
-        .attr("max", dataByGenArray.length > 0 ? dataByGenArray.length - 1 : 0)
+        .attr("max", dataByGroupArray.length > 0 ? dataByGroupArray.length - 1 : 0)
         .attr("value", 0)
         .attr("step", 1)
         .style("width", "100%")
         .style("cursor", "pointer");
 
-    const playButton = controlsContainer.append("button")
+    // --- Playback Controls: step buttons around the play button, then the playback settings ---
+    const playbackControls = controlsContainer.append("div")
+        .attr("class", "ridgeline-playback-controls")
+        .style("display", "flex")
+        .style("flex-wrap", "wrap")
+        .style("justify-content", "center")
+        .style("align-items", "center")
+        .style("gap", "10px")
+        .style("font-size", "0.85em");
+
+    const stepBackButton = playbackControls.append("button")
+        .attr("class", "ridgeline-step-back")
+        .attr("title", "Previous group (←)")
+        .text("◀")
+        .style("padding", "6px 10px")
+        .style("border", "1px solid #ccc")
+        .style("border-radius", "5px")
+        .style("background-color", "#f8f9fa")
+        .style("cursor", "pointer");
+
+    const playButton = playbackControls.append("button")
+        .attr("title", "Play or pause (space)")
         .text("Play Animation")
         .style("padding", "8px 15px")
         .style("font-size", "0.9em")
@@ -161,6 +875,61 @@ export function createRidgelinePlot(data, containerId) {
         .style("cursor", "pointer")
         .style("transition", "background-color 0.2s ease-in-out");
 
+    const stepForwardButton = playbackControls.append("button")
+        .attr("class", "ridgeline-step-forward")
+        .attr("title", "Next group (→)")
+        .text("▶")
+        .style("padding", "6px 10px")
+        .style("border", "1px solid #ccc")
+        .style("border-radius", "5px")
+        .style("background-color", "#f8f9fa")
+        .style("cursor", "pointer");
+
+    const speedSelect = playbackControls.append("label").text("Speed: ")
+        .append("select")
+        .attr("class", "ridgeline-speed")
+        .on("change", function() { store.update({ ridgelinePlaybackSpeed: +this.value }, "ridgeline"); });
+    speedSelect.selectAll("option")
+        .data(PLAYBACK_SPEEDS)
+        .join("option")
+            .attr("value", speed => speed)
+            .text(speed => `${speed}×`);
+
+    const loopCheckbox = playbackControls.append("label").text(" Loop")
+        .insert("input", ":first-child")
+        .attr("type", "checkbox")
+        .attr("class", "ridgeline-loop")
+        .on("change", function() { store.update({ ridgelineLoop: this.checked }, "ridgeline"); });
+
+    const reverseCheckbox = playbackControls.append("label").text(" Reverse")
+        .insert("input", ":first-child")
+        .attr("type", "checkbox")
+        .attr("class", "ridgeline-reverse")
+        .on("change", function() { store.update({ ridgelineReverse: this.checked }, "ridgeline"); });
+
+    const easingSelect = playbackControls.append("label").text("Easing: ")
+        .append("select")
+        .attr("class", "ridgeline-easing")
+        .on("change", function() { store.update({ ridgelineEasing: this.value }, "ridgeline"); });
+    easingSelect.selectAll("option")
+        .data(Object.entries(EASINGS))
+        .join("option")
+            .attr("value", ([key]) => key)
+            .text(([, easing]) => easing.label);
+
+    /**
+     * Syncs the playback settings with the store.
+     * @private
+     */
+    function syncPlaybackControls() {
+        const { ridgelinePlaybackSpeed, ridgelineLoop, ridgelineReverse, ridgelineEasing } = store.getState();
+        speedSelect.property("value", ridgelinePlaybackSpeed);
+        loopCheckbox.property("checked", ridgelineLoop);
+        reverseCheckbox.property("checked", ridgelineReverse);
+        easingSelect.property("value", ridgelineEasing);
+    }
+    syncPlaybackControls();
+
     playButton.on("mouseover", function() {
         if (isPlaying && playButton.text() === "Pause") {
             d3.select(this).style("background-color", "#42474c"); // Darker grey for pause hover
@@ -183,28 +952,286 @@ export function createRidgelinePlot(data, containerId) {
 
     let animationTimer = null;
     let isPlaying = false;
-    let currentAnimationGenerationIndex = 0;
-    const animationInterval = 1000;
+    let currentAnimationGroupIndex = 0;
+    let displayedGroupIndex = 0;
+
+    /**
+     * Returns the time between two animation steps at the current speed.
+     * @private
+     * @returns {number} The interval, in milliseconds.
+     */
+    function getAnimationInterval() {
+        const speed = store.getState().ridgelinePlaybackSpeed;
+        return BASE_ANIMATION_INTERVAL / (speed > 0 ? speed : 1);
+    }
 
-    function updateToGeneration(generationIdx, isAnimatedOrInitial = false) {
-        if (generationIdx < 0 || generationIdx >= dataByGenArray.length) {
+    /**
+     * Returns the easing chosen for the curve transitions.
+     * @private
+     * @returns {function(number): number} The easing function.
+     */
+    function getEasing() {
+        return (EASINGS[store.getState().ridgelineEasing] || EASINGS.linear).ease;
+    }
+
+    /**
+     * Computes a group's density curve with the kernel and bandwidth chosen in the store.
+     * Automatic bandwidths are picked per group. An empty group gets an empty curve.
+     * On a log scale the density and the bandwidth are in log10 units.
+     * @private
+     * @param {{key: string, values: Array<Object>}} groupData - One group.
+     * @returns {{density: Array<Array<number>>, bandwidth: number}} `[value, density]` pairs and the bandwidth used.
+     */
+    function computeDensity(groupData) {
+        const { kdeKernel, kdeBandwidthMode, kdeBandwidthPercent } = store.getState();
+        const groupValues = groupData.values.map(p => toDensitySpace(p[metric]));
+        const manualBandwidth = (densityPoints[densityPoints.length - 1] - densityPoints[0]) * kdeBandwidthPercent / 100;
+        const bandwidth = selectBandwidth(groupValues, { kernel: kdeKernel, mode: kdeBandwidthMode, manualBandwidth });
+        if (groupValues.length === 0) return { density: [], bandwidth };
+        const density = estimateDensity(groupValues, densityPoints, kdeKernel, bandwidth)
+            .filter(p => !isNaN(p[0]) && !isNaN(p[1]))
+            .map(([t, density]) => [fromDensitySpace(t), density]);
+        return { density, bandwidth };
+    }
+
+    /**
+     * Draws the summary statistic overlays enabled in the store into `group`: mean, median and
+     * quartile lines rising to the curve, the area under the curve between the quartiles, and a
+     * box plot strip just above the baseline.
+     * @private
+     * @param {d3.Selection} group - Group whose origin is the baseline.
+     * @param {Object|null} stats - Summary statistics (see `summarizeColumn`); null clears the overlays.
+     * @param {Array<Array<number>>} density - The group's density curve.
+     * @param {function(number): number} densityToY - Maps a density to a y offset from the baseline.
+     * @param {number} [duration=0] - Transition duration, matching the curve's.
+     */
+    function drawStatsOverlay(group, stats, density, densityToY, duration = 0) {
+        const overlays = stats ? store.getState().ridgelineOverlays : [];
+        const clampToBox = x => Math.max(stats.q1, Math.min(stats.q3, x));
+
+        // Collapsing the points outside the box onto the quartiles keeps one point per density
+        // point, so the band morphs smoothly along with the curve.
+        const iqrArea = d3.area()
+            .curve(d3.curveBasis)
+            .x(p => xScale(clampToBox(p[0])))
+            .y0(0)
+            .y1(p => densityToY(densityAt(density, clampToBox(p[0]))));
+        group.selectAll("path.ridgeline-iqr-band")
+            .data(overlays.includes("iqr") && density.length > 0 ? [density] : [])
+            .join("path")
+                .attr("class", "ridgeline-iqr-band")
+              .transition("stats").duration(duration).ease(getEasing())
+                .attr("d", iqrArea);
+
+        const lines = [];
+        if (overlays.includes("mean")) lines.push({ key: "mean", label: "Mean", value: stats.mean });
+        if (overlays.includes("median")) lines.push({ key: "median", label: "Median", value: stats.median });
+        if (overlays.includes("quartiles")) {
+            lines.push({ key: "q1", label: "Q1", value: stats.q1 }, { key: "q3", label: "Q3", value: stats.q3 });
+        }
+        group.selectAll("line.ridgeline-stat-line")
+            .data(lines, d => d.key)
+            .join(enter => enter.append("line")
+                    .attr("class", d => `ridgeline-stat-line stat-${d.key}`)
+                    .attr("x1", d => xScale(d.value))
+                    .attr("x2", d => xScale(d.value))
+                    .attr("y1", 0)
+                    .attr("y2", 0)
+                    .call(line => line.append("title")))
+                .call(line => line.select("title").text(d => `${d.label}: ${formatStat(d.value)}`))
+              .transition("stats").duration(duration).ease(getEasing())
+                .attr("x1", d => xScale(d.value))
+                .attr("x2", d => xScale(d.value))
+                .attr("y2", d => densityToY(densityAt(density, d.value)));
+
+        const boxplot = group.selectAll("g.ridgeline-boxplot")
+            .data(overlays.includes("boxplot") ? [stats] : [])
+            .join(enter => {
+                const box = enter.append("g").attr("class", "ridgeline-boxplot");
+                box.append("line").attr("class", "boxplot-whisker");
+                box.append("rect").attr("class", "boxplot-box").attr("y", -16).attr("height", 8);
+                box.append("line").attr("class", "boxplot-median").attr("y1", -16).attr("y2", -8);
+                box.append("title");
+                return box;
+            });
+        boxplot.select("title")
+            .text(d => `Box plot: whiskers ${formatStat(d.whiskerLow)}–${formatStat(d.whiskerHigh)}, quartiles ${formatStat(d.q1)}–${formatStat(d.q3)}, median ${formatStat(d.median)}`);
+        boxplot.select(".boxplot-whisker").transition("stats").duration(duration).ease(getEasing())
+            .attr("x1", d => xScale(d.whiskerLow)).attr("x2", d => xScale(d.whiskerHigh))
+            .attr("y1", -12).attr("y2", -12);
+        boxplot.select(".boxplot-box").transition("stats").duration(duration).ease(getEasing())
+            .attr("x", d => xScale(d.q1)).attr("width", d => Math.max(1, xScale(d.q3) - xScale(d.q1)));
+        boxplot.select(".boxplot-median").transition("stats").duration(duration).ease(getEasing())
+            .attr("x1", d => xScale(d.median)).attr("x2", d => xScale(d.median));
+    }
+
+    /**
+     * Shows the summary statistics of the displayed group next to its name.
+     * @private
+     * @param {Object|null} stats - Summary statistics (see `summarizeColumn`), null for an empty group.
+     */
+    function updateStatsReadout(stats) {
+        if (!stats) {
+            statsReadout.text("n = 0");
             return;
         }
+        statsReadout.text([
+            `n = ${stats.n}`,
+            `mean ${formatStat(stats.mean)}`,
+            `median ${formatStat(stats.median)}`,
+            `sd ${isNaN(stats.sd) ? "–" : formatStat(stats.sd)}`,
+            `min ${formatStat(stats.min)} (${stats.minPokemon.Name})`,
+            `max ${formatStat(stats.max)} (${stats.maxPokemon.Name})`
+        ].join(" · "));
+    }
+
+    /**
+     * Draws one rug mark per Pokémon (with a name tooltip) into `group`, or clears it when the rug is off.
+     * @private
+     * @param {d3.Selection} group - Group whose origin is the baseline.
+     * @param {Array<Object>} pokemon - The Pokémon to mark.
+     */
+    function drawRug(group, pokemon) {
+        group.selectAll("line.rug-mark")
+            .data(store.getState().showRug ? pokemon.filter(hasMetricValue) : [], p => p.Name)
+            .join(enter => enter.append("line").attr("class", "rug-mark").call(line => line.append("title")))
+                .attr("x1", p => xScale(p[metric]))
+                .attr("x2", p => xScale(p[metric]))
+                .attr("y1", -6)
+                .attr("y2", 0)
+                .call(line => line.select("title").text(p => `${p.Name} (${p[metric]})`));
+    }
+
+    /**
+     * Draws every group as a ridge in its own band. Ridges share one density scale, so their
+     * heights are comparable; the overlap factor sets how far the tallest peak reaches into the
+     * bands above. The top band is shifted down so its ridge stays inside the chart.
+     * @private
+     * @param {number} [duration=0] - Transition duration of the ridge shapes.
+     */
+    function drawAllRidges(duration = 0) {
+        const overlap = store.getState().ridgelineOverlap;
+        const bandStep = height / (groupKeys.length - 1 + Math.max(1, overlap));
+        groupBandScale.domain(groupKeys).range([Math.max(0, height - groupKeys.length * bandStep), height]);
 
-        const generationData = dataByGenArray[generationIdx];
-        generationIndicator.html(`Selected Generation: <span style="color: ${d3.schemeCategory10[generationIdx % 10]}">${generationData.key}</span>`);
+        const densities = dataByGroupArray.map(groupData => computeDensity(groupData).density);
+        const maxDensity = d3.max(densities, density => d3.max(density, p => p[1])) || 1e-6;
+        ridgeHeightScale.domain([0, maxDensity]).range([0, groupBandScale.bandwidth() * overlap]);
 
-        const genTotals = generationData.values.map(p => p.Total).filter(val => !isNaN(val));
-        let density = [];
-        if (genTotals.length >= 2) {
-            density = kde(genTotals);
+        ridgesGroup.selectAll("g.ridge")
+            .data(dataByGroupArray.map((groupData, i) => ({ ...groupData, index: i, density: densities[i] })), d => d.key)
+            .join(enter => {
+                const ridge = enter.append("g").attr("class", "ridge");
+                ridge.append("path").attr("class", "ridge-area");
+                ridge.append("title");
+                ridge.append("g").attr("class", "ridge-stats");
+                ridge.append("g").attr("class", "ridge-rug");
+                return ridge;
+            })
+                .attr("transform", d => `translate(0, ${groupBandScale(d.key) + groupBandScale.bandwidth()})`) // Baseline at the band's bottom
+                .classed("baseline-ridge", d => d.key === store.getState().ridgelineBaselineGroup)
+                .on("click", (event, d) => showGroup(d.index))
+                .call(ridge => ridge.select("title").text(d => `${formatGroupKey(d.key)}: ${d.values.length} Pokémon`))
+                .each(function(d) {
+                    const ridge = d3.select(this);
+                    drawStatsOverlay(ridge.select("g.ridge-stats"), summarizeColumn(d.values, metric), d.density, p => -ridgeHeightScale(p), duration);
+                    drawRug(ridge.select("g.ridge-rug"), d.values);
+                })
+              .select("path.ridge-area")
+                .style("fill", d => groupColor(d.key))
+              .transition("shape").duration(duration)
+                .attr("d", d => ridgeAreaGenerator(d.density));
+
+        highlightActiveRidge(displayedGroupIndex);
+    }
+
+    /**
+     * Emphasizes the ridge of the active group and fades the others.
+     * @private
+     * @param {number} groupIdx - Index of the active group.
+     */
+    function highlightActiveRidge(groupIdx) {
+        ridgesGroup.selectAll("g.ridge")
+            .classed("active-ridge", d => d.index === groupIdx)
+          .select("path.ridge-area")
+            .transition("highlight").duration(200)
+            .style("fill-opacity", d => d.index === groupIdx ? 0.85 : 0.25)
+            .style("stroke-width", d => d.index === groupIdx ? "2px" : "1px");
+    }
+
+    /**
+     * Switches between the animated single-group view and the full ridgeline view.
+     * @private
+     * @param {boolean} [isInitial=false] - True for the first draw (no transition from an empty curve).
+     * @param {number|null} [duration=null] - Transition duration in ms, e.g. to morph the curves into a new
+     *                                        metric; null keeps each view's default (the ridges then redraw instantly).
+     */
+    function applyViewMode(isInitial = false, duration = null) {
+        const { ridgelineMode, ridgelineOverlap } = store.getState();
+        const showAll = ridgelineMode === "all";
+        modeSelect.property("value", ridgelineMode);
+        overlapInput.property("value", ridgelineOverlap);
+        overlapLabel.style("display", showAll ? null : "none");
+        animatedPath.style("display", showAll ? "none" : null);
+        comparisonLayer.style("display", showAll ? "none" : null);
+        ridgesGroup.style("display", showAll ? null : "none");
+        svg.select(".axis-label-y").text(showAll ? formatColumnLabel(groupBy) : "Number of Pokémon");
+        if (showAll) {
+            drawAllRidges(duration || 0);
+            yAxisGroup.interrupt().call(d3.axisLeft(groupBandScale).tickFormat(formatGroupKey));
         }
-        
-        const maxDensity = d3.max(density, p => p[1]);
-        const yDomainMax = (maxDensity && maxDensity > 0) ? maxDensity : 1e-6;
-        yDensityScale.domain([0, yDomainMax]).nice();
+        updateToGroup(displayedGroupIndex, isInitial, duration);
+    }
+
+    function updateToGroup(groupIdx, isAnimatedOrInitial = false, durationOverride = null) {
+        if (groupIdx < 0 || groupIdx >= dataByGroupArray.length) {
+            return;
+        }
+
+        displayedGroupIndex = groupIdx;
+        const groupData = dataByGroupArray[groupIdx];
+        generationIndicator.text(`Selected ${formatColumnLabel(groupBy)}: `);
+        generationIndicator.append("span").style("color", groupColor(groupData.key)).text(formatGroupKey(groupData.key));
+        if (groupData.values.length === 0) {
+            generationIndicator.append("span").attr("class", "generation-indicator-empty").text(" (no matching Pokémon)");
+        }
+
+        const { density, bandwidth } = computeDensity(groupData);
+        bandwidthReadout.text(groupData.values.length > 0 ? `h = ${d3.format(".3~r")(bandwidth)}${logScale ? " (log₁₀)" : ""}` : "");
+
+        const stats = summarizeColumn(groupData.values, metric);
+        updateStatsReadout(stats);
+        const baseline = getBaselineGroup();
+        updateComparisonReadout(groupData, baseline);
+        syncBaselineControls();
 
-        const N_valid_points = genTotals.length;
+        if (store.getState().ridgelineMode === "all") { // The slider highlights a ridge instead of replacing the curve
+            rugGroup.selectAll("*").remove();
+            statsGroup.selectAll("*").remove();
+            highlightActiveRidge(groupIdx);
+            return;
+        }
+        drawRug(rugGroup, groupData.values);
+
+        const groupValues = groupData.values.map(p => p[metric]);
+
+        const baselineDensity = baseline ? computeDensity(baseline).density : [];
+        const showDifference = Boolean(baseline) && store.getState().ridgelineDifference;
+        // Both curves are evaluated at the same points, unless one of them is empty
+        const difference = (density.length > 0 ? density : baselineDensity)
+            .map(([x]) => [x, densityAt(density, x) - densityAt(baselineDensity, x)]);
+
+        if (showDifference) {
+            // Without any gap (the baseline itself is displayed) the curve's own scale keeps the axis readable
+            const maxGap = d3.max(difference, p => Math.abs(p[1])) || d3.max(density, p => p[1]) || 1e-6;
+            yDensityScale.domain([-maxGap, maxGap]).nice();
+        } else {
+            const maxDensity = d3.max(density.concat(baselineDensity), p => p[1]); // Keeps the baseline outline in view
+            const yDomainMax = (maxDensity && maxDensity > 0) ? maxDensity : 1e-6;
+            yDensityScale.domain([0, yDomainMax]).nice();
+        }
+
+        const N_valid_points = groupValues.length;
         const nicedMaxDensity = yDensityScale.domain()[1];
         let tickDisplayMultiplier;
         if (N_valid_points === 0) {
@@ -215,85 +1242,259 @@ export function createRidgelinePlot(data, containerId) {
           tickDisplayMultiplier = N_valid_points;
         }
         
-        const transitionDuration = isAnimatedOrInitial ? (generationIdx === 0 && !isPlaying && !animationTimer ? 0 : 750) : 200;
+        const transitionDuration = durationOverride !== null ? durationOverride
+            : isAnimatedOrInitial ? (groupIdx === 0 && !isPlaying && !animationTimer ? 0 : Math.round(getAnimationInterval() * 0.75)) : 200;
+        const ease = getEasing();
 
+        svg.select(".axis-label-y").text(showDifference ? "Density difference" : "Number of Pokémon");
         yAxisGroup.transition().duration(transitionDuration / 2)
-            .call(d3.axisLeft(yDensityScale).ticks(5).tickFormat(t => {
-                const scaledValue = t * tickDisplayMultiplier;
-                return d3.format(".0f")(Math.abs(scaledValue) < 1e-9 ? 0 : scaledValue);
-            }));
+            .call(d3.axisLeft(yDensityScale).ticks(5).tickFormat(showDifference
+                ? t => t === 0 ? "0" : d3.format("+.2~g")(t) // Counts can't be read off a difference of densities
+                : t => {
+                    const scaledValue = t * tickDisplayMultiplier;
+                    return d3.format(".0f")(Math.abs(scaledValue) < 1e-9 ? 0 : scaledValue);
+                }));
         
         animatedPath
-            .datum(density.filter(p => !isNaN(p[0]) && !isNaN(p[1])))
+            .datum(showDifference ? difference.map(([x, gap]) => [x, Math.max(0, gap)]) : density)
             .transition()
             .duration(transitionDuration)
-            .ease(d3.easeLinear)
+            .ease(ease)
             .attr("d", areaGenerator)
-            .style("fill", d3.schemeCategory10[generationIdx % 10]);
+            .style("fill", groupColor(groupData.key));
+
+        negativeDifferencePath
+            .style("display", showDifference ? null : "none")
+            .style("fill", baseline ? groupColor(baseline.key) : null)
+            .datum(difference.map(([x, gap]) => [x, Math.min(0, gap)]))
+          .transition()
+            .duration(transitionDuration)
+            .ease(ease)
+            .attr("d", areaGenerator);
+        zeroLine
+            .style("display", showDifference ? null : "none")
+            .attr("y1", yDensityScale(0)).attr("y2", yDensityScale(0));
+        baselinePath
+            .style("display", baseline && !showDifference ? null : "none")
+            .style("stroke", baseline ? groupColor(baseline.key) : null)
+            .datum(baselineDensity)
+          .transition()
+            .duration(transitionDuration)
+            .ease(ease)
+            .attr("d", baselineLineGenerator);
+        // The statistic lines rise to the curve, which difference mode doesn't draw
+        drawStatsOverlay(statsGroup, showDifference ? null : stats, density, p => yDensityScale(p) - height, transitionDuration);
     }
     
+    /**
+     * Returns the index of the first group in the playback direction.
+     * @private
+     * @returns {number} 0, or the last index when playing in reverse.
+     */
+    function getFirstAnimationIndex() {
+        return store.getState().ridgelineReverse ? dataByGroupArray.length - 1 : 0;
+    }
+
+    /**
+     * Checks whether an animation index has run past the last group in the playback direction.
+     * @private
+     * @param {number} groupIdx - Animation index.
+     * @returns {boolean} True if the animation is over.
+     */
+    function isPastLastGroup(groupIdx) {
+        return groupIdx < 0 || groupIdx >= dataByGroupArray.length;
+    }
+
     function runAnimationStep() {
-        if (currentAnimationGenerationIndex >= dataByGenArray.length) {
-            pauseAnimation(); // This will set text to Replay and appropriate color
+        if (!slider.node().isConnected) { // The chart was re-rendered; the new instance owns the animation
+            if (animationTimer) animationTimer.stop();
             return;
         }
-        slider.property("value", currentAnimationGenerationIndex);
-        updateToGeneration(currentAnimationGenerationIndex, true);
-        currentAnimationGenerationIndex++;
+        if (isPastLastGroup(currentAnimationGroupIndex)) {
+            if (!store.getState().ridgelineLoop) {
+                pauseAnimation(); // This will set text to Replay and appropriate color
+                return;
+            }
+            currentAnimationGroupIndex = getFirstAnimationIndex();
+        }
+        slider.property("value", currentAnimationGroupIndex);
+        updateToGroup(currentAnimationGroupIndex, true);
+        store.update({ generationIndex: currentAnimationGroupIndex }, "ridgeline");
+        currentAnimationGroupIndex += store.getState().ridgelineReverse ? -1 : 1;
+    }
+
+    /**
+     * (Re)starts the animation timer at the current speed.
+     * @private
+     */
+    function startAnimationTimer() {
+        if (animationTimer) animationTimer.stop();
+        animationTimer = d3.interval(runAnimationStep, getAnimationInterval());
     }
 
     function playAnimation() {
-        if (dataByGenArray.length === 0) return;
+        if (dataByGroupArray.length === 0) return;
         isPlaying = true;
         playButton.text("Pause").style("background-color", "#5a6268"); 
+        store.update({ ridgelinePlaying: true }, "ridgeline");
         
-        // If animation is started from a specific slider position, sync it
-        if (currentAnimationGenerationIndex !== +slider.property("value")) {
-            currentAnimationGenerationIndex = +slider.property("value");
-        }
-        // If at the end and "Replay" was effectively clicked (isPlaying was false, now true)
-        if (currentAnimationGenerationIndex >= dataByGenArray.length) {
-            currentAnimationGenerationIndex = 0;
-            slider.property("value", 0);
-        }
+        // Start from the slider position, or from the first group again after the animation finished ("Replay")
+        currentAnimationGroupIndex = isPastLastGroup(currentAnimationGroupIndex) ? getFirstAnimationIndex() : +slider.property("value");
 
         runAnimationStep(); 
-        animationTimer = d3.interval(runAnimationStep, animationInterval);
+        startAnimationTimer();
     }
 
     function pauseAnimation() {
         isPlaying = false;
         if (animationTimer) animationTimer.stop();
         animationTimer = null;
-        if (currentAnimationGenerationIndex >= dataByGenArray.length && dataByGenArray.length > 0) {
+        store.update({ ridgelinePlaying: false }, "ridgeline");
+        if (isPastLastGroup(currentAnimationGroupIndex) && dataByGroupArray.length > 0) {
             playButton.text("Replay").style("background-color", "#28a745"); 
         } else {
             playButton.text("Play Animation").style("background-color", "#007bff"); 
         }
     }
 
-    slider.on("input", function() {
+    /**
+     * Shows a group chosen by the user (slider, step buttons, ridge click), pausing the animation.
+     * @private
+     * @param {number} groupIdx - Index of the group.
+     */
+    function showGroup(groupIdx) {
         if (isPlaying) {
             pauseAnimation(); 
         }
-        currentAnimationGenerationIndex = +this.value; 
-        updateToGeneration(+this.value, false);
+        currentAnimationGroupIndex = groupIdx; 
+        slider.property("value", groupIdx);
+        updateToGroup(groupIdx, false);
+        store.update({ generationIndex: groupIdx }, "ridgeline");
+    }
+
+    /**
+     * Steps to the previous or next group. With loop on, stepping past either end wraps around.
+     * @private
+     * @param {number} offset - -1 for the previous group, 1 for the next one.
+     */
+    function stepGroup(offset) {
+        const count = dataByGroupArray.length;
+        if (count === 0) return;
+        const groupIdx = displayedGroupIndex + offset;
+        showGroup(store.getState().ridgelineLoop ? (groupIdx + count) % count : Math.max(0, Math.min(count - 1, groupIdx)));
+    }
+
+    slider.on("input", function() {
+        showGroup(+this.value);
+    });
+    stepBackButton.on("click", () => stepGroup(-1));
+    stepForwardButton.on("click", () => stepGroup(1));
+
+    // Keyboard shortcuts, ignored while typing in a form field or when a focused control
+    // handles the key itself (e.g. the slider's arrow keys). The namespace makes a
+    // re-rendered chart replace the previous listener.
+    d3.select(document).on("keydown.ridgeline", event => {
+        if (!slider.node().isConnected || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest("input, select, textarea, button, [contenteditable]")) return;
+        if (event.key === " ") {
+            event.preventDefault(); // Don't scroll the page
+            playButton.dispatch("click");
+        } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+            event.preventDefault();
+            stepGroup(event.key === "ArrowLeft" ? -1 : 1);
+        }
     });
 
     playButton.on("click", () => {
         if (isPlaying) {
             pauseAnimation();
         } else { 
-            // If "Replay" was showing, currentAnimationGenerationIndex would be at the end.
+            // If "Replay" was showing, currentAnimationGroupIndex would be at the end.
             // playAnimation() will handle resetting it if it's at the end.
             playAnimation();
         }
     });
 
-    if (dataByGenArray.length > 0) {
-        updateToGeneration(0, true); 
+    /**
+     * Clamps a group index from the store to the groups available.
+     * @private
+     * @param {number} groupIdx - Requested index.
+     * @returns {number} A valid index.
+     */
+    function clampGroupIndex(groupIdx) {
+        return Math.max(0, Math.min(dataByGroupArray.length - 1, Math.round(groupIdx) || 0));
+    }
+
+    // Recompute the densities when another chart filters the data, follow the selection,
+    // and follow group/play changes published elsewhere (e.g. restored from the URL).
+    store.subscribe("ridgeline", (state, changedKeys, source) => {
+        if (store.filtersChanged(changedKeys, "ridgeline")) {
+            dataByGroupArray = buildGroups();
+            if (state.ridgelineMode === "all") drawAllRidges();
+            updateToGroup(displayedGroupIndex, false);
+        }
+        const densitySettingsChanged = ["kdeKernel", "kdeBandwidthMode", "kdeBandwidthPercent", "showRug"].some(key => changedKeys.includes(key));
+        if (densitySettingsChanged) syncKdeControls();
+        const overlaysChanged = changedKeys.includes("ridgelineOverlays");
+        if (overlaysChanged) syncStatsControls();
+        const baselineChanged = changedKeys.includes("ridgelineBaselineGroup") || changedKeys.includes("ridgelineDifference");
+        const metricChanged = changedKeys.includes("ridgelineMetric") || changedKeys.includes("ridgelineLogScale");
+        const groupingChanged = changedKeys.includes("ridgelineGroupBy") || changedKeys.includes("ridgelineGroupSort");
+        if (metricChanged) {
+            configureMetric();
+            syncMetricControls();
+        }
+        if (groupingChanged || (metricChanged && state.ridgelineGroupSort === "median")) {
+            configureGroups();
+            syncGroupControls();
+            dataByGroupArray = buildGroups();
+            displayedGroupIndex = currentAnimationGroupIndex = clampGroupIndex(state.generationIndex);
+            slider.attr("max", Math.max(0, dataByGroupArray.length - 1)).property("value", displayedGroupIndex);
+        }
+        if (metricChanged) {
+            dataByGroupArray = buildGroups();
+            updateMetricAxis(METRIC_TRANSITION_DURATION);
+            applyViewMode(false, METRIC_TRANSITION_DURATION); // Curves morph into the new metric's densities
+            updateSelectionMarker(state.selectedPokemon);
+        } else if (groupingChanged) {
+            updateMetricAxis(); // Updates the title
+            applyViewMode();
+        } else if (changedKeys.includes("ridgelineMode")) {
+            applyViewMode();
+        } else if (densitySettingsChanged || overlaysChanged || baselineChanged || changedKeys.includes("ridgelineOverlap")) {
+            if (state.ridgelineMode === "all") applyViewMode(); // Redraws the ridges and their band axis
+            else if (densitySettingsChanged || overlaysChanged || baselineChanged) updateToGroup(displayedGroupIndex, false);
+        }
+        if (changedKeys.includes("generationIndex") && source !== "ridgeline") {
+            const groupIdx = clampGroupIndex(state.generationIndex);
+            currentAnimationGroupIndex = groupIdx; // A running animation continues from here
+            slider.property("value", groupIdx);
+            updateToGroup(groupIdx, false);
+        }
+        if (["ridgelinePlaybackSpeed", "ridgelineLoop", "ridgelineReverse", "ridgelineEasing"].some(key => changedKeys.includes(key))) {
+            syncPlaybackControls();
+            if (changedKeys.includes("ridgelinePlaybackSpeed") && isPlaying) startAnimationTimer();
+        }
+        if (changedKeys.includes("ridgelinePlaying") && source !== "ridgeline") {
+            if (state.ridgelinePlaying && !isPlaying) playAnimation();
+            else if (!state.ridgelinePlaying && isPlaying) pauseAnimation();
+        }
+        if (changedKeys.includes("selectedPokemon")) {
+            updateSelectionMarker(state.selectedPokemon);
+        }
+        if (metricChanged || (changedKeys.includes("ridgelineRange") && source !== "ridgeline")) syncRangeBrush();
+    });
+
+    if (dataByGroupArray.length > 0) {
+        const initialGroupIdx = clampGroupIndex(store.getState().generationIndex);
+        currentAnimationGroupIndex = initialGroupIdx;
+        slider.property("value", initialGroupIdx);
+        displayedGroupIndex = initialGroupIdx;
+        applyViewMode(true);
+        updateSelectionMarker(store.getState().selectedPokemon);
+        if (store.getState().ridgelinePlaying) playAnimation(); // Resume after a re-render or a restored URL
     } else {
-        generationIndicator.text("No generations to display.");
+        generationIndicator.text("No groups to display.");
         yAxisGroup.call(d3.axisLeft(yDensityScale.domain([0,1])).ticks(5).tickFormat(() => ""));
         if (controlsContainer) controlsContainer.style("display", "none");
     }
@@ -0,0 +1,117 @@
+/**
+ * @file Sprite providers for the Pokémon info modal.
+ * A sprite provider resolves a Pokémon to an image URL through one method,
+ * `getSpriteUrl(pokemon) => Promise<string|null>`, where null means "no sprite available".
+ * The local-manifest provider works on air-gapped machines; the PokeAPI provider is an
+ * optional online backend. `createFallbackSprite` draws an inline SVG so the modal always
+ * has an image without touching the network.
+ */
+
+/**
+ * Creates a provider reading sprites bundled with the dashboard. The manifest is a JSON object
+ * mapping a Pokémon's `Number` to an image path relative to the page, e.g.
+ * `{ "1": "sprites/1.png", "25": "sprites/25.png" }`. It is fetched once, on first use, and is
+ * optional: without one (a 404) every Pokémon gets the generated sprite.
+ * @param {Object} [options={}] - Provider options.
+ * @param {string} [options.manifestUrl="sprites/manifest.json"] - Location of the manifest.
+ * @returns {{name: string, getSpriteUrl: function(Object): Promise<string|null>}} The provider.
+ */
+export function createLocalSpriteProvider({ manifestUrl = "sprites/manifest.json" } = {}) {
+    let manifestPromise = null;
+
+    /**
+     * Loads the manifest once. A missing or invalid manifest counts as empty; only an invalid
+     * one (or a failed request) is worth a warning.
+     * @private
+     * @returns {Promise<Object<string, string>>} The Number → path mapping.
+     */
+    function loadManifest() {
+        if (!manifestPromise) {
+            manifestPromise = fetch(manifestUrl).then(response => {
+                if (response.status === 404) return {};
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                return response.json();
+            }).catch(error => {
+                console.warn(`Sprite manifest '${manifestUrl}' could not be loaded; using generated sprites.`, error);
+                return {};
+            });
+        }
+        return manifestPromise;
+    }
+
+    return {
+        name: "local",
+        async getSpriteUrl(pokemon) {
+            const manifest = await loadManifest();
+            return manifest[pokemon.Number] || null;
+        }
+    };
+}
+
+/**
+ * Creates a provider looking up official artwork on PokeAPI. Requests use the national
+ * dex `Number`, so no name sanitizing is needed. Lookups are cached per Pokémon; failed
+ * lookups are not cached, so they are retried on the next request.
+ * @param {Object} [options={}] - Provider options.
+ * @param {string} [options.baseUrl="https://pokeapi.co/api/v2/pokemon"] - PokeAPI Pokémon endpoint.
+ * @returns {{name: string, getSpriteUrl: function(Object): Promise<string|null>}} The provider.
+ */
+export function createPokeApiSpriteProvider({ baseUrl = "https://pokeapi.co/api/v2/pokemon" } = {}) {
+    const cache = new Map(); // Number → Promise of the sprite URL
+
+    return {
+        name: "pokeapi",
+        getSpriteUrl(pokemon) {
+            if (!cache.has(pokemon.Number)) {
+                const request = d3.json(`${baseUrl}/${pokemon.Number}`)
+                    .then(response => response.sprites?.other?.['official-artwork']?.front_default || response.sprites?.front_default || null)
+                    .catch(error => {
+                        console.warn(`Failed to fetch sprite for '${pokemon.Name}' (#${pokemon.Number}) from PokeAPI:`, error);
+                        cache.delete(pokemon.Number);
+                        return null;
+                    });
+                cache.set(pokemon.Number, request);
+            }
+            return cache.get(pokemon.Number);
+        }
+    };
+}
+
+/**
+ * Combines providers: each is asked in turn until one returns a sprite.
+ * @param {...{name: string, getSpriteUrl: function(Object): Promise<string|null>}} providers - Providers in priority order.
+ * @returns {{name: string, getSpriteUrl: function(Object): Promise<string|null>}} The combined provider.
+ */
+export function createChainedSpriteProvider(...providers) {
+    return {
+        name: providers.map(provider => provider.name).join("+"),
+        async getSpriteUrl(pokemon) {
+            for (const provider of providers) {
+                const url = await provider.getSpriteUrl(pokemon);
+                if (url) return url;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Builds an inline SVG sprite (a type-colored badge with the Pokémon's initial and number)
+ * as a data URI, used while loading and whenever no real sprite is available.
+ * @param {Object} pokemon - The Pokémon; uses `Name` and `Number`.
+ * @param {string} [color="#999999"] - Badge color, usually the primary type color.
+ * @returns {string} A `data:image/svg+xml` URI.
+ */
+export function createFallbackSprite(pokemon, color = "#999999") {
+    const rgb = d3.rgb(color);
+    const luminance = 0.2126 * rgb.r / 255 + 0.7152 * rgb.g / 255 + 0.0722 * rgb.b / 255;
+    const textColor = luminance > 0.5 ? "#000000" : "#FFFFFF";
+    const initial = (pokemon.Name || "?").charAt(0).toUpperCase()
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;"); // Escape for the SVG markup
+    const svgMarkup = `<svg xmlns="http://www.w3.org/2000/svg" width="96" height="96" viewBox="0 0 96 96">` +
+        `<circle cx="48" cy="48" r="44" fill="${rgb.formatHex()}" stroke="#333" stroke-width="2"/>` +
+        `<text x="48" y="56" text-anchor="middle" font-family="Lato, sans-serif" font-size="36" font-weight="700" fill="${textColor}">${initial}</text>` +
+        `<text x="48" y="80" text-anchor="middle" font-family="Lato, sans-serif" font-size="12" fill="${textColor}">#${pokemon.Number || "?"}</text>` +
+        `</svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgMarkup)}`;
+}
@@ -1,18 +1,98 @@
+import { createDashboardStore } from './dashboardStore.js';
+import { drawPokemonTable, highlightSelectedRow, highlightComparedRows } from './pokemonTable.js';
+import { createPokemonDetailModal } from './pokemonDetailModal.js';
+import { CATEGORICAL_COLUMNS, getAvailableColumns, formatColumnLabel, formatCategoryValue } from './pokemonSchema.js';
+import { HISTORY_STEP_SOURCE } from './urlHashState.js';
+
+/**
+ * Orders offered for the bars. The "mono" order (share of "None") is only offered for stack
+ * columns that have a "None" value.
+ * @private
+ * @type {Array<{value: string, label: string}>}
+ */
+const BAR_SORT_OPTIONS = [
+    { value: "total", label: "Total" },
+    { value: "alphabetical", label: "Name (A → Z)" },
+    { value: "stack", label: "Count of one value" },
+    { value: "mono", label: "Share of \"None\"" }
+];
+
+/**
+ * Store keys that only change the layout of the bars, which are then animated in place.
+ * @private
+ * @type {Array<string>}
+ */
+const BAR_LAYOUT_KEYS = ["stackedBarNormalized", "stackedBarSort", "stackedBarSortValue", "hiddenStackValues"];
+
 /**
- * Creates a Stacked Bar Chart showing Pokémon distribution by Primary & Secondary Type,
+ * Returns the sorted distinct values of a categorical column, as strings: numbers in numeric
+ * order, anything else alphabetically with "None" first.
+ * @private
+ * @param {Array<Object>} data - The Pokémon.
+ * @param {string} column - Categorical column.
+ * @returns {Array<string>} The values.
+ */
+function getCategoryValues(data, column) {
+    const values = [...new Set(data.map(d => String(d[column])))];
+    const isNumeric = values.every(value => !isNaN(value));
+    return values.sort((a, b) => isNumeric ? a - b
+        : a === "None" ? -1 : b === "None" ? 1 : formatCategoryValue(column, a).localeCompare(formatCategoryValue(column, b)));
+}
+
+/**
+ * Sorts the per-row counts for display. Ties fall back to the total, then the row value.
+ * @private
+ * @param {Array<Object>} counts - One object per row: `rowValue`, `total` and a count per stack value.
+ * @param {string} sort - "total", "alphabetical", "stack" or "mono" (see `stackedBarSort`).
+ * @param {string|null} sortValue - Stack value counted by the "stack" sort.
+ * @param {function(string): string} formatRowValue - Formats a row value for the alphabetical sort.
+ * @returns {Array<Object>} A sorted copy of `counts`.
+ */
+function sortRowCounts(counts, sort, sortValue, formatRowValue) {
+    const byName = (a, b) => isNaN(a.rowValue) || isNaN(b.rowValue)
+        ? d3.ascending(formatRowValue(a.rowValue), formatRowValue(b.rowValue))
+        : a.rowValue - b.rowValue;
+    const byTotal = (a, b) => b.total - a.total || byName(a, b);
+    const compare = {
+        alphabetical: byName,
+        stack: (a, b) => ((b[sortValue] || 0) - (a[sortValue] || 0)) || byTotal(a, b),
+        mono: (a, b) => ((b.None || 0) / b.total - (a.None || 0) / a.total) || byTotal(a, b)
+    }[sort] || byTotal;
+    return counts.slice().sort(compare);
+}
+
+/**
+ * Creates a Stacked Bar Chart showing Pokémon distribution by two categorical columns (Primary
+ * & Secondary Type by default, chosen with `stackedBarRowColumn` / `stackedBarStackColumn`),
  * with animations and drill-down to individual Pokémon.
+ * The drill-down level is read from the shared store (`primaryType` / `secondaryType`, holding the
+ * row and stack values whatever the columns), and clicking a segment publishes the next level
+ * back into it, so the other charts follow along.
+ * The chart is built once and redrawn in place by `update(state)`, so the bars morph between the
+ * overview and a single row, and the list of Pokémon fades in over them. A breadcrumb trail
+ * (All › Water › Water / Flying) jumps to any level above the current one, and back/forward
+ * buttons (or the mouse's back/forward buttons) step through the levels visited in the chart.
+ * Counts are computed from the rows passing every other chart's filters.
+ * Bars show counts or, normalized, shares of each row (`stackedBarNormalized`), and are
+ * sorted by `stackedBarSort`; changing either animates the bars in place.
+ * Clicking a legend item toggles its stack value's layer (`hiddenStackValues`), shift-clicking
+ * isolates it, and hovering highlights its segments. Totals, shares and sorting use the visible layers.
  * @param {Array<Object>} data - The processed Pokemon dataset. Each object is expected
- * to have `Type_1`, `Type_2`, and `Name` (for drill-down) properties.
+ * to have the columns of `CATEGORICAL_COLUMNS`, and `Name` (for drill-down) properties.
  * @param {string} containerId - The CSS selector for the HTML div where the chart will be rendered.
- * @param {string|null} [activeFilterPrimaryType=null] - Optional. Filters chart to this primary type.
- *                                                       If provided, the chart shows secondary type distribution
- *                                                       for only this primary type.
- * @param {string|null} [activeFilterSecondaryType=null] - Optional. If set along with `activeFilterPrimaryType`,
- *                                                         the chart displays a list of Pokémon names
- *                                                         matching both the primary and secondary types.
- *                                                         This parameter is ignored if `activeFilterPrimaryType` is null.
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
+ *                                                  `state.primaryType` filters the chart to one row value;
+ *                                                  `state.secondaryType` (with a row value) shows a sortable,
+ *                                                  filterable table of the Pokémon matching both values.
+ *                                                  Clicking a row opens its detail panel; shift-clicking pins it
+ *                                                  to the comparison tray.
+ * @param {Object} [options={}] - Chart options.
+ * @param {{open: function(Object, Object=): Promise<void>}} [options.detailModal] - Detail panel opened when a table
+ *                                                  row is clicked (which also selects the Pokémon dashboard-wide).
+ * @returns {{update: function(Object): void}|undefined} The chart, redrawn by the store's changes
+ *          through `update`; undefined if the container is missing or has no size.
  */
-export function createStackedBarChart(data, containerId, activeFilterPrimaryType = null, activeFilterSecondaryType = null) {
+export function createStackedBarChart(data, containerId, store = createDashboardStore(), { detailModal = createPokemonDetailModal(data, store) } = {}) {
     const container = d3.select(containerId);
     if (container.empty()) {
         console.error(`Container element "${containerId}" not found.`);
@@ -41,6 +121,7 @@ export function createStackedBarChart(data, containerId, activeFilterPrimaryType
     const width = Math.max(1, chartDrawingWidth);
     const height = Math.max(1, chartDrawingHeight);
     const animationDuration = 750; // Duration for D3 transitions
+    const categoricalColumns = getAvailableColumns(data, CATEGORICAL_COLUMNS); // Columns this dataset has values for
 
     // Append the main SVG element to the container
     const chartRoot = container.append("svg")
@@ -49,213 +130,433 @@ export function createStackedBarChart(data, containerId, activeFilterPrimaryType
         .append("g") // Group element for chart content, translated by margin
             .attr("transform", `translate(${margin.left},${margin.top})`);
 
-    // --- Consistent Data Processing (always on full dataset) ---
-    // Get all unique secondary types, sorting "None" to appear first if present.
-    const allSecondaryTypes = [...new Set(data.map(d => d.Type_2))]
-                           .sort((a, b) => a === "None" ? -1 : b === "None" ? 1 : a.localeCompare(b));
-
-    // Rollup data to count Pokémon by primary type, then by secondary type.
-    // `countsByTypeFull` will be a Map where keys are primary types and values are objects
-    // containing counts for each secondary type and a 'total' count for that primary type.
-    const countsByTypeFull = d3.rollup(data,
-        leaves => {
-            const counts = Object.fromEntries(allSecondaryTypes.map(secType => [secType, 0]));
-            leaves.forEach(leaf => {
-                 if(counts[leaf.Type_2] !== undefined) counts[leaf.Type_2]++;
-                 else console.warn(`Unexpected secondary type: ${leaf.Type_2}`); // Handle potential new/unexpected types
-            });
-            counts.total = leaves.length; // Total Pokémon for this primary type
-            return counts;
-        },
-        d => d.Type_1 // Group by primary type
-    );
-
-    // Convert the rollup map to an array, sort by total count (descending),
-    // and structure for D3 stack layout.
-    const baseSortedCountsArray = Array.from(countsByTypeFull.entries())
-        .sort(([,a], [,b]) => b.total - a.total) // Sort primary types by total Pokémon
-        .map(([primaryType, counts]) => ({ primaryType, ...counts })); // Flatten structure
-
-    let effectiveFilterPrimaryType = activeFilterPrimaryType; // To track the active primary filter
-
-    // --- Chart Title ---
-    let chartTitleText = "Pokémon Distribution by Primary & Secondary Type";
-    if (activeFilterPrimaryType && !activeFilterSecondaryType) {
-        chartTitleText = `${activeFilterPrimaryType} Pokémon: Distribution by Secondary Type`;
-    } else if (activeFilterPrimaryType && activeFilterSecondaryType) {
-        chartTitleText = `${activeFilterPrimaryType} / ${activeFilterSecondaryType} Pokémon`;
-    }
-    chartRoot.append("text")
+    // --- Persistent Elements (filled in by `update`) ---
+    const chartTitle = chartRoot.append("text")
         .attr("class", "chart-title")
         .attr("x", width / 2)
         .attr("y", 0 - margin.top / 2 - 10) // Position above the chart
         .attr("text-anchor", "middle")
         .style("font-size", "14px")
-        .style("text-decoration", "underline")
-        .text(chartTitleText);
-
-    // --- Navigation Links ---
-    // If a primary type filter is active, show a "Show All Types" link to navigate back to the overview.
-    if (activeFilterPrimaryType) {
-        const showAllLink = chartRoot.append("text")
-            .attr("class", "nav-link show-all-link")
-            .attr("y", 0 - margin.top / 2 + 5) // Position below the title
-            .style("font-size", "10px")
-            .style("fill", "blue")
-            .style("text-decoration", "underline")
-            .style("cursor", "pointer")
-            .text("Show All Types")
-            .on("click", () => createStackedBarChart(data, containerId, null, null)); // Re-render with no filters
-
-        if (!activeFilterSecondaryType) { // Primary-filtered view (not Pokémon list), center the link
-            showAllLink
-                .attr("x", width / 2)
-                .attr("text-anchor", "middle");
-        } else { // Pokémon list view, align link to the right
-            showAllLink
-                .attr("x", width)
-                .attr("text-anchor", "end");
+        .style("text-decoration", "underline");
+
+    // Back/forward buttons and the breadcrumb trail, below the title
+    const navigation = chartRoot.append("g")
+        .attr("class", "stacked-bar-navigation")
+        .attr("transform", `translate(0, ${0 - margin.top / 2 + 5})`)
+        .style("font-size", "10px");
+    const backButton = navigation.append("text")
+        .attr("class", "history-button")
+        .text("◀")
+        .on("click", () => stepHistory(-1));
+    backButton.append("title").text("Back");
+    const forwardButton = navigation.append("text")
+        .attr("class", "history-button")
+        .attr("x", 14)
+        .text("▶")
+        .on("click", () => stepHistory(1));
+    forwardButton.append("title").text("Forward");
+    const breadcrumb = navigation.append("text")
+        .attr("class", "stacked-bar-breadcrumb")
+        .attr("x", 32);
+
+    const barsGroup = chartRoot.append("g").attr("class", "stacked-bar-bars");
+    const listGroup = chartRoot.append("g").attr("class", "stacked-bar-list");
+    const messageText = chartRoot.append("text")
+        .attr("class", "chart-message")
+        .attr("x", width / 2)
+        .attr("y", height / 2)
+        .attr("text-anchor", "middle");
+    const legend = chartRoot.append("g") // Single legend group, rebuilt when the stack column changes
+        .attr("class", "legend")
+        .attr("transform", `translate(${width + 20}, 0)`); // Position legend to the right of the chart
+
+    // --- Scales ---
+    const xScale = d3.scaleLinear().range([0, width]); // X-axis scale (count or share), domain set by drawBars
+    const yScale = d3.scaleBand().range([0, height]).paddingInner(0.1).paddingOuter(0.1); // Y-axis scale (row values)
+    const categoricalColors = d3.schemeCategory10.concat(d3.schemeSet3);
+    const formatShare = d3.format(".0%");
+
+    // Column-dependent state, set by `setColumns`
+    let rowColumn = null;
+    let stackColumn = null;
+    let formatRowValue = String;
+    let formatStackValue = String;
+    let allStackValues = [];
+    let colorScale = d3.scaleOrdinal();
+    let sortOptions = BAR_SORT_OPTIONS;
+    let syncLayoutControls = () => {}; // Replaced by `setColumns` when the legend (and its controls) fits
+
+    // Drill-down state, set by `update`
+    let currentSortedCountsArray = [];
+    let effectiveFilterPrimaryType = null; // The row shown, null if the store's row is unknown
+    let activeFilterSecondaryType = null;
+    let isBarView = false;
+
+    // Drill-down levels visited in the chart, for the back/forward buttons
+    let historyEntries = [];
+    let historyIndex = -1;
+    let isNavigatingHistory = false;
+
+    // The mouse's back/forward buttons step through the chart's history too. The browser would
+    // also navigate its own history on them, stepping twice, so its default is prevented.
+    container
+        .on("mouseup.history", event => {
+            if (event.button !== 3 && event.button !== 4) return;
+            event.preventDefault();
+            stepHistory(event.button === 3 ? -1 : 1);
+        })
+        .on("auxclick.history", event => {
+            if (event.button === 3 || event.button === 4) event.preventDefault();
+        });
+
+    // Redraw whenever the drill-down level, the columns or another chart's filter changes;
+    // layout changes only re-lay out the bars, and a new selection only needs its highlight refreshed.
+    store.subscribe("stackedBar", (state, changedKeys) => {
+        if (["primaryType", "secondaryType", "stackedBarRowColumn", "stackedBarStackColumn"].some(key => changedKeys.includes(key)) || store.filtersChanged(changedKeys, "stackedBar")) {
+            update(state);
+        } else {
+            if (changedKeys.some(key => BAR_LAYOUT_KEYS.includes(key)) && isBarView) {
+                syncLayoutControls();
+                drawBars();
+            }
+            if (changedKeys.includes("selectedPokemon")) highlightSelectedPokemon(state.selectedPokemon);
+            if (changedKeys.includes("comparedPokemon")) highlightComparedRows(container, state.comparedPokemon);
         }
+    });
+
+    /**
+     * Outlines the bar segment (or table row) containing the selected Pokémon.
+     * @private
+     * @param {string|null} pokemonName - `Name` of the selected Pokémon, or null to clear the highlight.
+     */
+    function highlightSelectedPokemon(pokemonName) {
+        const pokemon = pokemonName ? data.find(p => p.Name === pokemonName) : null;
+        container.selectAll("g.layer").each(function(layerData) {
+            d3.select(this).selectAll("rect.stacked-bar-rect")
+                .classed("selected-segment", d_segment => !!pokemon &&
+                    layerData.key === String(pokemon[stackColumn]) && d_segment.data.rowValue === String(pokemon[rowColumn]));
+        });
+        highlightSelectedRow(container, pokemonName);
     }
 
-    // --- View Rendering Logic ---
-    // Determine which view to render based on active filters.
-    if (activeFilterPrimaryType && activeFilterSecondaryType) {
-        // === Pokémon Detail View (List of Pokémon names) ===
-        // Filter data for Pokémon matching both primary and secondary types.
-        const specificPokemon = data.filter(p => p.Type_1 === activeFilterPrimaryType && p.Type_2 === activeFilterSecondaryType);
-
-        // Add a "Back to [Primary Type]" link to navigate to the primary type's stacked bar view.
-        chartRoot.append("text")
-            .attr("class", "nav-link back-to-primary-link")
-            .attr("x", 0) // Align to the left
-            .attr("y", 0 - margin.top / 2 + 5)
-            .attr("text-anchor", "start")
-            .style("font-size", "10px")
-            .style("fill", "blue")
-            .style("text-decoration", "underline")
-            .style("cursor", "pointer")
-            .text(`‹ Back to ${activeFilterPrimaryType} View`)
-            .on("click", () => createStackedBarChart(data, containerId, activeFilterPrimaryType, null)); // Re-render for primary type
-
-        // If no Pokémon match the criteria, display a message.
-        if (specificPokemon.length === 0) {
-            chartRoot.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor","middle")
-                .text(`No Pokémon found for ${activeFilterPrimaryType} / ${activeFilterSecondaryType}.`);
-            return;
+    /**
+     * Returns the stack values whose layers are not toggled off in the legend.
+     * @private
+     * @returns {Array<string>} The visible values, in layer order (never empty).
+     */
+    function getVisibleStackValues() {
+        const { hiddenStackValues } = store.getState();
+        const visible = allStackValues.filter(type => !hiddenStackValues.includes(type));
+        return visible.length > 0 ? visible : allStackValues;
+    }
+
+    /**
+     * Toggles a stack value's layer, or with `isolate` shows only that value (or every
+     * value again if it is already the only one shown). The last visible value cannot be hidden.
+     * @private
+     * @param {string} type - Stack value.
+     * @param {boolean} isolate - True for shift-click.
+     */
+    function toggleStackValue(type, isolate) {
+        const visible = getVisibleStackValues();
+        let hidden;
+        if (isolate) {
+            hidden = visible.length === 1 && visible[0] === type ? [] : allStackValues.filter(t => t !== type);
+        } else if (visible.includes(type)) {
+            if (visible.length === 1) return;
+            hidden = allStackValues.filter(t => t === type || !visible.includes(t));
+        } else {
+            hidden = allStackValues.filter(t => t !== type && !visible.includes(t));
         }
+        store.update({ hiddenStackValues: hidden }, "stackedBar");
+    }
 
-        const listTopMargin = 20; // Space below title/links for the list
-        const foreignObjectHeight = Math.max(10, height - listTopMargin); // Ensure positive height for foreignObject
-
-        // Use foreignObject to embed HTML for a scrollable list within SVG.
-        const foreignObject = chartRoot.append("foreignObject")
-            .attr("x", 0)
-            .attr("y", listTopMargin)
-            .attr("width", width)
-            .attr("height", foreignObjectHeight);
-
-        // Create a scrollable div within the foreignObject.
-        const scrollableDiv = foreignObject.append("xhtml:div")
-            .attr("class", "pokemon-list-scrollable")
-            .style("height", "100%")
-            .style("overflow-y", "scroll") // Enable vertical scrolling
-            .style("font-size", "14px")
-            .style("display", "grid") // Use CSS Grid for two columns
-            .style("grid-template-columns", "repeat(2, 1fr)") // Two equal columns
-            .style("gap", "2px 10px") // Row and column gap
-            .style("padding", "0 5px"); // Horizontal padding
-
-        // Bind Pokémon data to div elements, sort by name, and display them.
-        scrollableDiv.selectAll("div.pokemon-name-item")
-            .data(specificPokemon.sort((a,b) => d3.ascending(a.Name, b.Name))) // Sort Pokémon by name
-            .enter()
-            .append("xhtml:div")
-            .attr("class", "pokemon-name-item")
-            .style("text-align", "center") // Center text within each grid cell
-            .style("padding-bottom", "2px")
-            .text(d => d.Name || "Unknown Name") // Display Pokémon name
-            .style("opacity", 0) // Initial state for transition
-            .transition().duration(animationDuration) // Fade-in animation
-            .style("opacity", 1);
-
-    } else {
-        // === Stacked Bar Chart View (Overview or Primary-Filtered) ===
-        let currentSortedCountsArray;
-        // Filter data if a primary type is selected, otherwise use the full dataset.
-        if (activeFilterPrimaryType) {
-            const filteredData = baseSortedCountsArray.find(d => d.primaryType === activeFilterPrimaryType);
-            if (filteredData) {
-                currentSortedCountsArray = [filteredData]; // Show only the selected primary type
-            } else {
-                // Fallback if the activeFilterPrimaryType is invalid (e.g., from URL manipulation)
-                console.warn(`Primary type "${activeFilterPrimaryType}" not found. Displaying full chart.`);
-                currentSortedCountsArray = baseSortedCountsArray;
-                effectiveFilterPrimaryType = null; // Reset filter if invalid
+    /**
+     * Returns the bar order from the store, or "total" if that order is not offered for the stack column.
+     * @private
+     * @returns {string} A value of `sortOptions`.
+     */
+    function getSort() {
+        const { stackedBarSort } = store.getState();
+        return sortOptions.some(d => d.value === stackedBarSort) ? stackedBarSort : "total";
+    }
+
+    /**
+     * Returns the stack value counted by the "stack" sort.
+     * @private
+     * @returns {string} The value from the store, or the first value other than "None".
+     */
+    function getSortValue() {
+        const { stackedBarSortValue } = store.getState();
+        return allStackValues.includes(stackedBarSortValue) ? stackedBarSortValue : (allStackValues.find(type => type !== "None") || allStackValues[0]);
+    }
+
+    /**
+     * Records a drill-down level in the chart's history, dropping the levels ahead of the
+     * current one (like a browser). Levels reached with the back/forward buttons are not recorded.
+     * @private
+     * @param {{primaryType: (string|null), secondaryType: (string|null)}} level - The level shown.
+     */
+    function recordHistory(level) {
+        if (isNavigatingHistory) return;
+        const current = historyEntries[historyIndex];
+        if (current && current.primaryType === level.primaryType && current.secondaryType === level.secondaryType) return;
+        historyEntries = historyEntries.slice(0, historyIndex + 1).concat([level]);
+        historyIndex = historyEntries.length - 1;
+    }
+
+    /**
+     * Moves back (-1) or forward (1) through the chart's history and publishes that level,
+     * replacing the current URL entry rather than pushing one (see `HISTORY_STEP_SOURCE`).
+     * @private
+     * @param {number} offset - Steps to move.
+     */
+    function stepHistory(offset) {
+        const index = historyIndex + offset;
+        if (index < 0 || index >= historyEntries.length) return;
+        historyIndex = index;
+        isNavigatingHistory = true;
+        store.update(historyEntries[index], HISTORY_STEP_SOURCE);
+        isNavigatingHistory = false;
+        drawNavigation();
+    }
+
+    /**
+     * Draws the breadcrumb trail for the current level (every level above it is a link)
+     * and enables the back/forward buttons that have somewhere to go.
+     * @private
+     */
+    function drawNavigation() {
+        const crumbs = [{ label: rowColumn === "Type_1" ? "All Types" : "All", level: { primaryType: null, secondaryType: null } }];
+        if (effectiveFilterPrimaryType) {
+            crumbs.push({ label: formatRowValue(effectiveFilterPrimaryType), level: { primaryType: effectiveFilterPrimaryType, secondaryType: null } });
+            if (activeFilterSecondaryType) {
+                crumbs.push({
+                    label: `${formatRowValue(effectiveFilterPrimaryType)} / ${formatStackValue(activeFilterSecondaryType)}`,
+                    level: { primaryType: effectiveFilterPrimaryType, secondaryType: activeFilterSecondaryType }
+                });
             }
-        } else {
-            currentSortedCountsArray = baseSortedCountsArray; // Show all primary types
         }
 
-        const displayedPrimaryTypes = currentSortedCountsArray.map(d => d.primaryType);
+        breadcrumb.selectAll("tspan").remove();
+        crumbs.forEach((crumb, i) => {
+            if (i > 0) breadcrumb.append("tspan").attr("class", "breadcrumb-separator").text(" › ");
+            const isCurrent = i === crumbs.length - 1;
+            breadcrumb.append("tspan")
+                .attr("class", isCurrent ? "breadcrumb-current" : "breadcrumb-link")
+                .text(crumb.label)
+                .on("click", isCurrent ? null : () => store.update(crumb.level, "stackedBar"));
+        });
+
+        backButton.classed("history-button-disabled", historyIndex <= 0);
+        forwardButton.classed("history-button-disabled", historyIndex >= historyEntries.length - 1);
+    }
+
+    /**
+     * Switches the chart to a row and a stack column: recomputes the stack values and their
+     * colors, rebuilds the legend and its controls, and starts a new history (levels of the
+     * previous columns cannot be shown any more).
+     * @private
+     * @param {string} newRowColumn - Categorical column of the bars.
+     * @param {string} newStackColumn - Categorical column of the segments.
+     */
+    function setColumns(newRowColumn, newStackColumn) {
+        rowColumn = newRowColumn;
+        stackColumn = newStackColumn;
+        formatRowValue = value => formatCategoryValue(rowColumn, value);
+        formatStackValue = value => formatCategoryValue(stackColumn, value);
+
+        // Get all unique stack values (as strings), sorting "None" to appear first if present.
+        // Uses the full dataset so layer colors stay stable while other charts filter.
+        allStackValues = getCategoryValues(data, stackColumn);
+        // Columns with more values than the categorical schemes get a rainbow
+        colorScale = d3.scaleOrdinal().domain(allStackValues)
+            .range(allStackValues.length <= categoricalColors.length
+                ? categoricalColors.slice(0, allStackValues.length)
+                : d3.quantize(d3.interpolateRainbow, allStackValues.length + 1));
+        sortOptions = allStackValues.includes("None") ? BAR_SORT_OPTIONS : BAR_SORT_OPTIONS.filter(d => d.value !== "mono");
+
+        historyEntries = [];
+        historyIndex = -1;
+        drawLegend();
+    }
+
+    /**
+     * Rebuilds the legend and the layout controls below it for the current columns.
+     * Both are left out if the chart is too narrow.
+     * @private
+     */
+    function drawLegend() {
+        legend.selectAll("*").remove();
+        syncLayoutControls = () => {};
+        if (chartDrawingWidth < 50) return;
+
+        const legendItemHeight = 15; // Height of each legend item
+        const legendItemWidth = 70; // Approx width for each legend item (text + rect)
+        // Calculate number of columns for legend based on available right margin
+        const numColumns = Math.max(1, Math.floor((margin.right - 20) / legendItemWidth));
+        const itemsPerColumn = Math.ceil(allStackValues.length / numColumns);
+
+        const legendItems = legend.selectAll("g.legend-item")
+            .data(allStackValues, d => d) // Key legend items by stack value
+            .join("g")
+            .attr("class", "legend-item")
+            .attr("transform", (type, i) => { // Position items in columns
+                const columnIndex = Math.floor(i / itemsPerColumn);
+                const rowIndex = i % itemsPerColumn;
+                return `translate(${columnIndex * legendItemWidth}, ${rowIndex * legendItemHeight})`;
+            });
+
+        legendItems.append("rect") // Color swatch
+            .attr("width", 10)
+            .attr("height", 10)
+            .attr("fill", colorScale);
+        legendItems.append("title").text("Click to show/hide, shift-click to isolate");
+        legendItems.append("text") // Value name
+            .attr("x", 15) // Position text next to swatch
+            .attr("y", 9) // Align text with swatch
+            .style("font-size", "10px")
+            .text(formatStackValue);
+
+        // Click toggles a layer, shift-click isolates it, hover highlights its segments
+        legendItems
+            .style("cursor", "pointer")
+            .on("click", (event, type) => toggleStackValue(type, event.shiftKey))
+            .on("mouseover", (event, type) => {
+                barsGroup.selectAll("g.layer").classed("layer-dimmed", layerData => layerData.key !== type);
+            })
+            .on("mouseout", () => barsGroup.selectAll("g.layer").classed("layer-dimmed", false));
+
+        // --- Layout Controls (below the legend) ---
+        const layoutControls = legend.append("foreignObject")
+            .attr("y", itemsPerColumn * legendItemHeight + 10)
+            .attr("width", margin.right - 25)
+            .attr("height", 150)
+          .append("xhtml:div")
+            .attr("class", "stacked-bar-layout-controls")
+            .style("display", "flex")
+            .style("flex-direction", "column")
+            .style("gap", "4px")
+            .style("font-size", "10px");
+
+        // Changing a column starts over at the overview, since drilled and hidden values belong to the old column
+        const columnChanges = { primaryType: null, secondaryType: null, hiddenStackValues: [], stackedBarSortValue: null };
+        const rowColumnSelect = layoutControls.append("label").text("Rows: ")
+            .append("select")
+            .attr("class", "stacked-bar-row-column")
+            .style("font-size", "10px")
+            .style("max-width", "100%")
+            .on("change", function() { store.update({ stackedBarRowColumn: this.value, ...columnChanges }, "stackedBar"); });
+        const stackColumnSelect = layoutControls.append("label").text("Stack: ")
+            .append("select")
+            .attr("class", "stacked-bar-stack-column")
+            .style("font-size", "10px")
+            .style("max-width", "100%")
+            .on("change", function() { store.update({ stackedBarStackColumn: this.value, ...columnChanges }, "stackedBar"); });
+        [rowColumnSelect, stackColumnSelect].forEach(select => select.selectAll("option")
+            .data(categoricalColumns)
+            .join("option")
+                .attr("value", column => column)
+                .text(formatColumnLabel));
+        rowColumnSelect.property("value", rowColumn);
+        stackColumnSelect.property("value", stackColumn);
+
+        const normalizeCheckbox = layoutControls.append("label").text(" 100% bars")
+            .insert("input", ":first-child")
+            .attr("type", "checkbox")
+            .attr("class", "stacked-bar-normalize")
+            .on("change", function() { store.update({ stackedBarNormalized: this.checked }, "stackedBar"); });
+
+        const sortSelect = layoutControls.append("label").text("Sort: ")
+            .append("select")
+            .attr("class", "stacked-bar-sort")
+            .style("font-size", "10px")
+            .style("max-width", "100%")
+            .on("change", function() { store.update({ stackedBarSort: this.value }, "stackedBar"); });
+        sortSelect.selectAll("option")
+            .data(sortOptions)
+            .join("option")
+                .attr("value", d => d.value)
+                .text(d => d.label);
+
+        const sortValueSelect = layoutControls.append("select")
+            .attr("class", "stacked-bar-sort-type")
+            .style("font-size", "10px")
+            .style("max-width", "100%")
+            .on("change", function() { store.update({ stackedBarSortValue: this.value }, "stackedBar"); });
+        sortValueSelect.selectAll("option")
+            .data(allStackValues)
+            .join("option")
+                .attr("value", type => type)
+                .text(formatStackValue);
+
+        syncLayoutControls = () => {
+            const { stackedBarNormalized } = store.getState();
+            const visibleStackValues = getVisibleStackValues();
+            legendItems.classed("legend-item-hidden", type => !visibleStackValues.includes(type));
+            normalizeCheckbox.property("checked", stackedBarNormalized);
+            sortSelect.property("value", getSort());
+            sortValueSelect.property("value", getSortValue())
+                .style("display", getSort() === "stack" ? null : "none");
+        };
+    }
+
+    /**
+     * Lays out the bars for the current rows and the sort and normalization settings in the
+     * store. Rects and axes are keyed, so calling it again animates the bars to their new
+     * rows, order and scale.
+     * @private
+     */
+    function drawBars() {
+        const { stackedBarNormalized } = store.getState();
+        const visibleStackValues = getVisibleStackValues();
+        // Hidden layers count as empty, so totals, shares and sorting follow what is shown
+        const hiddenCounts = Object.fromEntries(allStackValues.filter(type => !visibleStackValues.includes(type)).map(type => [type, 0]));
+        const visibleCounts = currentSortedCountsArray.map(d => ({ ...d, ...hiddenCounts, total: d3.sum(visibleStackValues, type => d[type]) }));
+        const sortedCounts = sortRowCounts(visibleCounts, getSort(), getSortValue(), formatRowValue);
+        const displayedRowValues = sortedCounts.map(d => d.rowValue);
 
         // D3 stack generator configuration.
         const stack = d3.stack()
-            .keys(allSecondaryTypes) // Keys are secondary types, determining the layers
+            .keys(visibleStackValues) // Keys are the visible stack values, determining the layers
             .order(d3.stackOrderNone) // Order of layers (no specific order here)
-            .offset(d3.stackOffsetNone); // Baseline for stacking (zero)
+            .offset(stackedBarNormalized ? d3.stackOffsetExpand : d3.stackOffsetNone); // Baseline for stacking (zero), or shares of each bar
 
-        const series = stack(currentSortedCountsArray); // Generate stacked series data
+        const series = stack(sortedCounts); // Generate stacked series data
 
-        // Handle cases where no data is available for the chart.
-        if (series.length === 0 || currentSortedCountsArray.length === 0 || displayedPrimaryTypes.length === 0) {
-            let message = "No data for Stacked Bar Chart.";
-            if (effectiveFilterPrimaryType) message = `No data for Primary Type: ${effectiveFilterPrimaryType}.`;
-            chartRoot.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor","middle").text(message);
-            return;
-        }
-
-        const maxTotal = d3.max(currentSortedCountsArray, d => d.total); // Max total Pokémon count for scaling
-        // Handle cases where maxTotal is invalid, preventing scale errors.
-        if (maxTotal === undefined || maxTotal <= 0) {
-            chartRoot.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor","middle")
-                .text(`No valid data counts for chart scale${effectiveFilterPrimaryType ? ` for ${effectiveFilterPrimaryType}` : ''}.`);
-            return;
-        }
-
-        // --- Scales ---
-        const xScale = d3.scaleLinear().domain([0, maxTotal]).range([0, width]).nice(); // X-axis scale (count)
-        const yScale = d3.scaleBand().domain(displayedPrimaryTypes).range([0, height]).paddingInner(0.1).paddingOuter(0.1); // Y-axis scale (primary types)
-        const colorScale = d3.scaleOrdinal().domain(allSecondaryTypes).range(d3.schemeCategory10.concat(d3.schemeSet3).slice(0, allSecondaryTypes.length)); // Color scale for secondary types
+        xScale.domain(stackedBarNormalized ? [0, 1] : [0, d3.max(visibleCounts, d => d.total) || 1]);
+        if (!stackedBarNormalized) xScale.nice();
+        yScale.domain(displayedRowValues);
 
         // --- Axes ---
-        const xAxis = d3.axisBottom(xScale).ticks(Math.max(2, Math.floor(width / 80))); // Dynamic number of ticks
-        const yAxis = d3.axisLeft(yScale);
+        const xAxis = d3.axisBottom(xScale).ticks(Math.max(2, Math.floor(width / 80)), stackedBarNormalized ? "%" : undefined); // Dynamic number of ticks
+        const yAxis = d3.axisLeft(yScale).tickFormat(formatRowValue);
 
         // Append/update X-axis
-        chartRoot.selectAll("g.x.axis").data([null])
+        barsGroup.selectAll("g.x.axis").data([null])
             .join(
                 enter => enter.append("g").attr("class", "x axis").attr("transform", `translate(0, ${height})`).call(xAxis),
                 update => update.transition().duration(animationDuration).attr("transform", `translate(0, ${height})`).call(xAxis),
                 exit => exit.remove()
             );
         // Append/update Y-axis
-        chartRoot.selectAll("g.y.axis").data([null])
+        barsGroup.selectAll("g.y.axis").data([null])
             .join(
                 enter => enter.append("g").attr("class", "y axis").call(yAxis),
                 update => update.transition().duration(animationDuration).call(yAxis),
                 exit => exit.remove()
             );
-        
+
         // Axis Labels
-        chartRoot.selectAll("text.axis-label-x").data([null]).join("text").attr("class", "axis-label axis-label-x")
-            .attr("x", width / 2).attr("y", height + margin.bottom - 5).style("text-anchor", "middle").text("Number of Pokémon");
-        chartRoot.selectAll("text.axis-label-y").data([null]).join("text").attr("class", "axis-label axis-label-y")
-            .attr("transform", "rotate(-90)").attr("x", -height / 2).attr("y", -margin.left + 15).style("text-anchor", "middle").text("Primary Type");
+        barsGroup.selectAll("text.axis-label-x").data([null]).join("text").attr("class", "axis-label axis-label-x")
+            .attr("x", width / 2).attr("y", height + margin.bottom - 5).style("text-anchor", "middle")
+            .text(stackedBarNormalized ? "Share of Pokémon" : "Number of Pokémon");
+        barsGroup.selectAll("text.axis-label-y").data([null]).join("text").attr("class", "axis-label axis-label-y")
+            .attr("transform", "rotate(-90)").attr("x", -height / 2).attr("y", -margin.left + 15).style("text-anchor", "middle").text(formatColumnLabel(rowColumn));
 
-        // --- Layers (Segments for each Secondary Type) ---
-        const layers = chartRoot.selectAll("g.layer")
-            .data(series, d => d.key); // Key layers by secondary type name for object constancy
+        // --- Layers (Segments for each stack value) ---
+        const layers = barsGroup.selectAll("g.layer")
+            .data(series, d => d.key); // Key layers by stack value for object constancy
 
         // Remove old layers
         layers.exit()
@@ -265,19 +566,19 @@ export function createStackedBarChart(data, containerId, activeFilterPrimaryType
 
         // Add new layers
         const layersEnter = layers.enter().append("g")
-            .attr("class", "layer")
-            .attr("fill", d => colorScale(d.key)); // Set fill color for the layer (secondary type)
+            .attr("class", "layer");
 
-        const rectGroups = layers.merge(layersEnter); // Merge enter and update selections for layers
+        const rectGroups = layers.merge(layersEnter) // Merge enter and update selections for layers
+            .attr("fill", d => colorScale(d.key)); // Set fill color for the layer (stack value)
 
         // --- Rects (Individual bars within each layer) ---
         rectGroups.each(function(layerData) { // `layerData` is one element of `series`
             // `this` refers to the <g class="layer"> element
-            // `d_layer` is one element of `layerData`, representing a segment for a primary type
+            // `d_layer` is one element of `layerData`, representing a segment for a row
             // `d_segment` is one element of `d_layer.filter(...)`, representing a single rect's data
             const rects = d3.select(this).selectAll("rect.stacked-bar-rect")
                 .data(d_layer => d_layer.filter(segment => !isNaN(segment[0]) && !isNaN(segment[1]) && (segment[1] - segment[0] >= 0)), // Filter for valid, non-zero-width segments
-                      d_segment => d_segment.data.primaryType); // Key rects by primary type for object constancy
+                      d_segment => d_segment.data.rowValue); // Key rects by row value for object constancy
 
             // Remove old rects
             rects.exit()
@@ -289,37 +590,40 @@ export function createStackedBarChart(data, containerId, activeFilterPrimaryType
             // Add new rects
             const rectsEnter = rects.enter().append("rect")
                 .attr("class", "stacked-bar-rect")
-                .attr("y", d_segment => yScale(d_segment.data.primaryType)) // Y position based on primary type
+                .attr("y", d_segment => yScale(d_segment.data.rowValue)) // Y position based on row value
                 .attr("x", d_segment => xScale(d_segment[0])) // Initial X position for animation
                 .attr("width", 0) // Initial width 0 for animation
                 .attr("height", yScale.bandwidth()) // Height based on band scale
                 .style("cursor", "pointer")
                 .on("click", function(event, d_segment_clicked) {
-                    const clickedPrimaryType = d_segment_clicked.data.primaryType;
-                    const secondaryTypeKey = layerData.key; // Secondary type of the clicked segment
+                    const clickedPrimaryType = d_segment_clicked.data.rowValue;
+                    const secondaryTypeKey = layerData.key; // Stack value of the clicked segment
 
                     // Drill-down logic:
-                    if (!effectiveFilterPrimaryType) { // If on overview, drill to primary type
-                        createStackedBarChart(data, containerId, clickedPrimaryType, null);
-                    } else if (effectiveFilterPrimaryType === clickedPrimaryType && !activeFilterSecondaryType) { // If on primary view, drill to specific Pokémon list
-                        createStackedBarChart(data, containerId, clickedPrimaryType, secondaryTypeKey);
+                    if (!effectiveFilterPrimaryType) { // If on overview, drill to the row
+                        store.update({ primaryType: clickedPrimaryType, secondaryType: null }, "stackedBar");
+                    } else if (effectiveFilterPrimaryType === clickedPrimaryType && !activeFilterSecondaryType) { // If on row view, drill to specific Pokémon list
+                        store.update({ secondaryType: secondaryTypeKey }, "stackedBar");
                     }
                     // No action if already in the Pokémon list view (activeFilterSecondaryType is set)
                 });
-            
+
             // Add tooltips to new rects
-            rectsEnter.append("title") 
+            rectsEnter.append("title");
+
+            // Update existing and new rects
+            const mergedRects = rects.merge(rectsEnter);
+            mergedRects.select("title")
                 .text(function(d_segment_title) {
-                    const primaryType = d_segment_title.data.primaryType;
+                    const rowValue = d_segment_title.data.rowValue;
                     const count = d_segment_title.data[layerData.key]; // Count for this specific segment
                     const countText = (count !== undefined && !isNaN(count)) ? count : 'N/A';
-                    return `${primaryType} / ${layerData.key}: ${countText}`;
+                    const shareText = stackedBarNormalized && !isNaN(count) ? ` (${formatShare(count / d_segment_title.data.total)})` : "";
+                    return `${formatRowValue(rowValue)} / ${formatStackValue(layerData.key)}: ${countText}${shareText}`;
                 });
-
-            // Update existing and new rects
-            rects.merge(rectsEnter) 
+            mergedRects
                 .transition().duration(animationDuration)
-                .attr("y", d_segment => yScale(d_segment.data.primaryType))
+                .attr("y", d_segment => yScale(d_segment.data.rowValue))
                 .attr("x", d_segment => xScale(d_segment[0])) // Final X position
                 .attr("width", d_segment => { // Final width
                     const w = xScale(d_segment[1]) - xScale(d_segment[0]);
@@ -327,54 +631,141 @@ export function createStackedBarChart(data, containerId, activeFilterPrimaryType
                 })
                 .attr("height", yScale.bandwidth());
         });
+    }
 
-        // --- Legend ---
-        const legend = chartRoot.selectAll("g.legend").data([null]).join("g") // Single legend group
-            .attr("class", "legend")
-            .attr("transform", `translate(${width + 20}, 0)`); // Position legend to the right of the chart
+    /**
+     * Shows or hides the bars (with the legend), fading them so the switch to and from the
+     * Pokémon list animates.
+     * @private
+     * @param {boolean} visible - True to show the bars.
+     */
+    function setBarsVisible(visible) {
+        isBarView = visible;
+        legend.style("display", visible ? null : "none");
+        barsGroup.interrupt("visibility");
+        if (visible) {
+            barsGroup.style("display", null)
+                .transition("visibility").duration(animationDuration / 2)
+                .style("opacity", 1);
+        } else {
+            barsGroup.transition("visibility").duration(animationDuration / 2)
+                .style("opacity", 0)
+                .on("end", function() { d3.select(this).style("display", "none"); });
+        }
+    }
 
-        // Hide legend if chart area is too small or no data to display
-        if (chartDrawingWidth < 50 || displayedPrimaryTypes.length === 0) { 
-            legend.style("display", "none");
+    /**
+     * Redraws the chart for a store state: the level (overview, one row, or the list of one
+     * row and stack value), its title and breadcrumb, and the bars or list. Bars already on
+     * screen animate to their new layout.
+     * @param {Object} state - The dashboard state.
+     */
+    function update(state) {
+        const newRowColumn = categoricalColumns.includes(state.stackedBarRowColumn) ? state.stackedBarRowColumn : "Type_1";
+        const newStackColumn = categoricalColumns.includes(state.stackedBarStackColumn) ? state.stackedBarStackColumn : "Type_2";
+        if (newRowColumn !== rowColumn || newStackColumn !== stackColumn) setColumns(newRowColumn, newStackColumn);
+
+        // Rows passing the other charts' filters; the chart's own drill-down is applied below.
+        const chartData = store.filterData(data, "stackedBar");
+
+        // Rollup data to count Pokémon by row value, then by stack value.
+        // `countsByTypeFull` will be a Map where keys are row values and values are objects
+        // containing counts for each stack value and a 'total' count for that row.
+        const countsByTypeFull = d3.rollup(chartData,
+            leaves => {
+                const counts = Object.fromEntries(allStackValues.map(stackValue => [stackValue, 0]));
+                leaves.forEach(leaf => {
+                     const stackValue = String(leaf[stackColumn]);
+                     if(counts[stackValue] !== undefined) counts[stackValue]++;
+                     else console.warn(`Unexpected ${stackColumn} value: ${stackValue}`); // Handle potential new/unexpected values
+                });
+                counts.total = leaves.length; // Total Pokémon for this row
+                return counts;
+            },
+            d => String(d[rowColumn]) // Group by row value
+        );
+
+        // Convert the rollup map to an array, sort by total count (descending),
+        // and structure for D3 stack layout.
+        const baseSortedCountsArray = Array.from(countsByTypeFull.entries())
+            .sort(([,a], [,b]) => b.total - a.total) // Sort rows by total Pokémon
+            .map(([rowValue, counts]) => ({ rowValue, ...counts })); // Flatten structure
+
+        // --- Drill-down Level ---
+        const activeFilterPrimaryType = state.primaryType;
+        activeFilterSecondaryType = activeFilterPrimaryType ? state.secondaryType : null;
+        effectiveFilterPrimaryType = activeFilterPrimaryType;
+        if (activeFilterPrimaryType && !activeFilterSecondaryType) {
+            const filteredData = baseSortedCountsArray.find(d => d.rowValue === activeFilterPrimaryType);
+            if (filteredData) {
+                currentSortedCountsArray = [filteredData]; // Show only the selected row
+            } else {
+                // Fallback if the activeFilterPrimaryType is invalid (e.g., from URL manipulation)
+                console.warn(`${formatColumnLabel(rowColumn)} "${activeFilterPrimaryType}" not found. Displaying full chart.`);
+                currentSortedCountsArray = baseSortedCountsArray;
+                effectiveFilterPrimaryType = null; // Reset filter if invalid
+            }
         } else {
-            legend.style("display", null);
-            const legendItemHeight = 15; // Height of each legend item
-            const legendItemWidth = 70; // Approx width for each legend item (text + rect)
-            // Calculate number of columns for legend based on available right margin
-            const numColumns = Math.max(1, Math.floor((margin.right - 20) / legendItemWidth)); 
-            const itemsPerColumn = Math.ceil(allSecondaryTypes.length / numColumns);
-
-            const legendItems = legend.selectAll("g.legend-item")
-                .data(allSecondaryTypes, d => d); // Key legend items by secondary type name
-
-            legendItems.exit().remove(); // Remove old legend items
-
-            // Add new legend items
-            const legendItemsEnter = legendItems.enter().append("g")
-                .attr("class", "legend-item");
-
-            legendItemsEnter.append("rect") // Color swatch
-                .attr("width", 10)
-                .attr("height", 10);
-
-            legendItemsEnter.append("text") // Type name
-                .attr("x", 15) // Position text next to swatch
-                .attr("y", 9) // Align text with swatch
-                .style("font-size", "10px");
-            
-            // Update existing and new legend items
-            legendItems.merge(legendItemsEnter)
-                .attr("transform", (type, i) => { // Position items in columns
-                    const columnIndex = Math.floor(i / itemsPerColumn);
-                    const rowIndex = i % itemsPerColumn;
-                    return `translate(${columnIndex * legendItemWidth}, ${rowIndex * legendItemHeight})`;
-                })
-                .select("rect")
-                    .attr("fill", colorScale); // Set color of swatch
-            
-            legendItems.merge(legendItemsEnter)
-                .select("text")
-                    .text(type => type); // Set text of legend item
+            currentSortedCountsArray = baseSortedCountsArray; // Show all rows
+        }
+
+        // --- Chart Title & Navigation ---
+        let chartTitleText = `Pokémon Distribution by ${formatColumnLabel(rowColumn)} & ${formatColumnLabel(stackColumn)}`;
+        if (effectiveFilterPrimaryType && !activeFilterSecondaryType) {
+            chartTitleText = `${formatRowValue(effectiveFilterPrimaryType)} Pokémon: Distribution by ${formatColumnLabel(stackColumn)}`;
+        } else if (effectiveFilterPrimaryType && activeFilterSecondaryType) {
+            chartTitleText = `${formatRowValue(effectiveFilterPrimaryType)} / ${formatStackValue(activeFilterSecondaryType)} Pokémon`;
         }
+        chartTitle.text(chartTitleText);
+        recordHistory({ primaryType: effectiveFilterPrimaryType, secondaryType: activeFilterSecondaryType });
+        drawNavigation();
+
+        // --- View Rendering Logic ---
+        messageText.text("");
+        // The previous list fades out, whichever view comes next
+        listGroup.selectAll("foreignObject")
+            .transition().duration(animationDuration / 2)
+            .style("opacity", 0)
+            .remove();
+
+        if (activeFilterPrimaryType && activeFilterSecondaryType) {
+            // === Pokémon Detail View (List of Pokémon names) ===
+            setBarsVisible(false);
+            // Filter data for Pokémon matching both the row and the stack value.
+            const specificPokemon = chartData.filter(p => String(p[rowColumn]) === activeFilterPrimaryType && String(p[stackColumn]) === activeFilterSecondaryType);
+
+            // If no Pokémon match the criteria, display a message.
+            if (specificPokemon.length === 0) {
+                messageText.text(`No Pokémon found for ${formatRowValue(activeFilterPrimaryType)} / ${formatStackValue(activeFilterSecondaryType)}.`);
+                return;
+            }
+
+            // The table spans the legend's margin too, as the legend is hidden in this view
+            const listTopMargin = 20; // Space below title/links for the table
+            drawPokemonTable(listGroup, specificPokemon, store,
+                { y: listTopMargin, width: width + margin.right - 20, height: height - listTopMargin + margin.bottom - 5, animationDuration },
+                { referenceData: data, onOpen: pokemon => detailModal.open(pokemon, { color: colorScale(String(pokemon[stackColumn])) }) });
+        } else {
+            // === Stacked Bar Chart View (Overview or Row-Filtered) ===
+            // Handle cases where no data is available for the chart.
+            const maxTotal = d3.max(currentSortedCountsArray, d => d.total); // Max total Pokémon count for scaling
+            if (currentSortedCountsArray.length === 0 || !(maxTotal > 0)) {
+                setBarsVisible(false);
+                messageText.text(effectiveFilterPrimaryType
+                    ? `No data for ${formatColumnLabel(rowColumn)}: ${formatRowValue(effectiveFilterPrimaryType)}.`
+                    : "No data for Stacked Bar Chart.");
+                return;
+            }
+
+            setBarsVisible(true);
+            syncLayoutControls();
+            drawBars();
+        }
+
+        highlightSelectedPokemon(state.selectedPokemon);
+        highlightComparedRows(container, state.comparedPokemon);
     }
+
+    update(store.getState());
+    return { update };
 }
@@ -0,0 +1,384 @@
+import { createDashboardStore } from './dashboardStore.js';
+import { drawPokemonTable, highlightSelectedRow, highlightComparedRows } from './pokemonTable.js';
+import { createPokemonDetailModal } from './pokemonDetailModal.js';
+import { NUMERIC_COLUMNS, getAvailableColumns, formatColumnLabel } from './pokemonSchema.js';
+
+/**
+ * Store keys that only re-lay out the heatmap cells (the chart is not rebuilt).
+ * @private
+ * @type {Array<string>}
+ */
+const HEATMAP_LAYOUT_KEYS = ["heatmapMetric", "heatmapClustered"];
+
+/**
+ * Orders vectors so that similar ones are adjacent: average-linkage agglomerative clustering
+ * on Euclidean distances, reading the leaves of the resulting tree from left to right. When two
+ * clusters merge, they are flipped so that their closest ends meet.
+ * @private
+ * @param {Array<Array<number>>} vectors - One vector per item, all of the same length.
+ * @returns {Array<number>} Item indices in clustered order.
+ */
+function clusterOrder(vectors) {
+    const distances = vectors.map(a => vectors.map(b => Math.sqrt(d3.sum(a, (value, k) => (value - b[k]) ** 2))));
+    const linkage = (a, b) => d3.mean(a.members, i => d3.mean(b.members, j => distances[i][j]));
+    let clusters = vectors.map((vector, i) => ({ members: [i], order: [i] }));
+
+    while (clusters.length > 1) {
+        let closest = null;
+        for (let i = 0; i < clusters.length; i++) {
+            for (let j = i + 1; j < clusters.length; j++) {
+                const distance = linkage(clusters[i], clusters[j]);
+                if (!closest || distance < closest.distance) closest = { i, j, distance };
+            }
+        }
+        const a = clusters[closest.i].order, b = clusters[closest.j].order;
+        const orientations = [[a, b], [a.slice().reverse(), b], [a, b.slice().reverse()], [a.slice().reverse(), b.slice().reverse()]];
+        const [first, second] = d3.least(orientations, ([x, y]) => distances[x[x.length - 1]][y[0]]);
+        const merged = { members: a.concat(b), order: first.concat(second) };
+        clusters = clusters.filter((cluster, k) => k !== closest.i && k !== closest.j).concat([merged]);
+    }
+    return clusters.length > 0 ? clusters[0].order : [];
+}
+
+/**
+ * Creates a heatmap of Primary Type × Secondary Type, each cell colored by its number of Pokémon
+ * or by their mean value of a stat (`heatmapMetric`). Rows and columns are listed by name, or
+ * reordered by clustering (`heatmapClustered`) so that types with similar profiles sit together.
+ * It is the alternative to the stacked bar chart in the top-left slot and shares its drill-down:
+ * clicking a cell publishes the pair as `primaryType` / `secondaryType` (switching the stacked bar
+ * to its type columns), which filters the other charts and lists the cell's Pokémon in a sortable table.
+ * Like the stacked bar, it ignores its own drill-down when counting but follows the other charts' filters.
+ * @param {Array<Object>} data - The processed Pokemon dataset. Each object is expected
+ * to have `Type_1`, `Type_2`, `Name` and the columns of `NUMERIC_COLUMNS`.
+ * @param {string} containerId - The CSS selector for the HTML div where the chart will be rendered.
+ * @param {Object} [store=createDashboardStore()] - Shared dashboard store (see `dashboardStore.js`).
+ * @param {Object} [options={}] - Chart options.
+ * @param {{open: function(Object, Object=): Promise<void>}} [options.detailModal] - Detail panel opened when a table
+ *                                                  row is clicked (which also selects the Pokémon dashboard-wide).
+ */
+export function createTypeHeatmap(data, containerId, store = createDashboardStore(), { detailModal = createPokemonDetailModal(data, store) } = {}) {
+    const container = d3.select(containerId);
+    if (container.empty()) {
+        console.error(`Container element "${containerId}" not found.`);
+        return;
+    }
+    // Clear previous content. The heatmap re-creates itself on every drill-down and filter
+    // change, so the export menu main.js mounts in the slot is kept.
+    container.selectChildren(":not(.chart-export-menu)").remove();
+
+    const { primaryType, secondaryType, stackedBarRowColumn, stackedBarStackColumn, selectedPokemon } = store.getState();
+    // The drill-down is only about types while the stacked bar groups by them
+    const isTypeDrillDown = stackedBarRowColumn === "Type_1" && stackedBarStackColumn === "Type_2";
+    const activeRow = isTypeDrillDown ? primaryType : null;
+    const activeColumn = activeRow ? secondaryType : null;
+
+    let redrawCells = null; // Set by the matrix view, which re-lays out its cells in place
+
+    // Re-render whenever the drill-down or another chart's filter changes;
+    // a new selection only needs its highlight refreshed.
+    store.subscribe("heatmap", (state, changedKeys) => {
+        if (["primaryType", "secondaryType", "stackedBarRowColumn", "stackedBarStackColumn"].some(key => changedKeys.includes(key)) || store.filtersChanged(changedKeys, "stackedBar")) {
+            createTypeHeatmap(data, containerId, store, { detailModal });
+        } else {
+            if (changedKeys.some(key => HEATMAP_LAYOUT_KEYS.includes(key)) && redrawCells) redrawCells();
+            if (changedKeys.includes("selectedPokemon")) highlightSelectedPokemon(state.selectedPokemon);
+            if (changedKeys.includes("comparedPokemon")) highlightComparedRows(container, state.comparedPokemon);
+        }
+    });
+
+    // Rows passing the other charts' filters; the type drill-down belongs to the stacked bar's filter.
+    const chartData = store.filterData(data, "stackedBar");
+
+    /**
+     * Outlines the cell (or table row) containing the selected Pokémon.
+     * @private
+     * @param {string|null} pokemonName - `Name` of the selected Pokémon, or null to clear the highlight.
+     */
+    function highlightSelectedPokemon(pokemonName) {
+        const pokemon = pokemonName ? data.find(p => p.Name === pokemonName) : null;
+        container.selectAll("rect.heatmap-cell")
+            .classed("selected-cell", d => !!pokemon && d.row === pokemon.Type_1 && d.column === pokemon.Type_2);
+        highlightSelectedRow(container, pokemonName);
+    }
+
+    // Define padding for the container to ensure content isn't clipped by borders/padding
+    const BORDER_BOX_PADDING = 5;
+    const containerWidth  = container.node().clientWidth  - BORDER_BOX_PADDING * 2;
+    const containerHeight = container.node().clientHeight - BORDER_BOX_PADDING * 2;
+
+    // If container has no effective drawing area, display a message and exit.
+    if (containerWidth <= 0 || containerHeight <= 0) {
+         // The container was cleared above; `html()` would also drop the export menu
+         container.append("p").style("color", "orange").style("padding", "10px")
+             .text("Container has no size. Cannot draw chart.");
+         return;
+    }
+
+    // Define margins for the chart within the SVG (top for the column labels, right for the controls and legend)
+    const margin = {top: 90, right: 130, bottom: 10, left: 70};
+    const width = Math.max(1, containerWidth - margin.left - margin.right);
+    const height = Math.max(1, containerHeight - margin.top - margin.bottom);
+    const animationDuration = 750; // Duration for D3 transitions
+
+    // Append the main SVG element to the container
+    const chartRoot = container.append("svg")
+        .attr("viewBox", `0 0 ${containerWidth} ${containerHeight}`) // Responsive SVG
+        .attr("preserveAspectRatio", "xMidYMid meet")
+        .append("g") // Group element for chart content, translated by margin
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const chartTitle = chartRoot.append("text")
+        .attr("class", "chart-title")
+        .attr("x", width / 2)
+        .attr("y", 0 - margin.top + 15) // Position above the column labels
+        .attr("text-anchor", "middle")
+        .style("font-size", "14px")
+        .style("text-decoration", "underline");
+
+    // === Pokémon Detail View (List of Pokémon names) ===
+    if (activeRow && activeColumn) {
+        chartTitle.attr("y", -30).text(`${activeRow} / ${activeColumn} Pokémon`);
+        chartRoot.append("text")
+            .attr("class", "nav-link back-to-heatmap-link")
+            .attr("x", 0) // Align to the left
+            .attr("y", -15)
+            .attr("text-anchor", "start")
+            .style("font-size", "10px")
+            .style("fill", "blue")
+            .style("text-decoration", "underline")
+            .style("cursor", "pointer")
+            .text("‹ Back to Heatmap")
+            .on("click", () => store.update({ primaryType: null, secondaryType: null }, "heatmap"));
+
+        const specificPokemon = chartData.filter(p => p.Type_1 === activeRow && p.Type_2 === activeColumn);
+        if (specificPokemon.length === 0) {
+            chartRoot.append("text").attr("x", width / 2).attr("y", height / 2).attr("text-anchor","middle")
+                .text(`No Pokémon found for ${activeRow} / ${activeColumn}.`);
+            return;
+        }
+        // The table spans the legend's margin too, as there is no legend in this view
+        drawPokemonTable(chartRoot, specificPokemon, store, { y: 0, width: width + margin.right - 10, height, animationDuration },
+            { source: "heatmap", referenceData: data, onOpen: pokemon => detailModal.open(pokemon) });
+        highlightSelectedPokemon(selectedPokemon);
+        highlightComparedRows(container, store.getState().comparedPokemon);
+        return;
+    }
+
+    // === Matrix View ===
+    // Rows and columns come from the full dataset, so the matrix keeps its shape while other charts filter
+    const rowKeys = [...new Set(data.map(d => d.Type_1))].sort(d3.ascending);
+    const columnKeys = [...new Set(data.map(d => d.Type_2))]
+        .sort((a, b) => a === "None" ? -1 : b === "None" ? 1 : d3.ascending(a, b));
+    const pokemonByCell = d3.group(chartData, d => d.Type_1, d => d.Type_2);
+    const cells = rowKeys.flatMap(row => columnKeys.map(column => ({
+        row,
+        column,
+        pokemon: pokemonByCell.get(row)?.get(column) || []
+    })));
+
+    if (activeRow) chartTitle.text(`${activeRow} Pokémon by Secondary Type`);
+    else chartTitle.text("Pokémon by Primary × Secondary Type");
+
+    const xScale = d3.scaleBand().domain(columnKeys).range([0, width]).padding(0.05);
+    const yScale = d3.scaleBand().domain(rowKeys).range([0, height]).padding(0.05);
+    const formatValue = d3.format(".1f");
+    const metricOptions = ["count"].concat(getAvailableColumns(data, NUMERIC_COLUMNS.filter(column => column !== "Generation"), { numeric: true }));
+
+    /**
+     * Returns the metric from the store, or "count" if it is not a plottable column.
+     * @private
+     * @returns {string} "count" or a numeric column.
+     */
+    function getMetric() {
+        const { heatmapMetric } = store.getState();
+        return metricOptions.includes(heatmapMetric) ? heatmapMetric : "count";
+    }
+
+    /**
+     * Returns the value a cell is colored by: its count, or the mean of the metric (NaN when empty).
+     * @private
+     * @param {Object} cell - A cell, with its `pokemon`.
+     * @param {string} metric - "count" or a numeric column.
+     * @returns {number} The value.
+     */
+    function getCellValue(cell, metric) {
+        return metric === "count" ? cell.pokemon.length : (d3.mean(cell.pokemon, d => d[metric]) ?? NaN);
+    }
+
+    /**
+     * Orders the rows and columns by name, or by clustering their profiles. Count profiles are
+     * shares of the row (or column) total, so types cluster by mix rather than by size; mean
+     * profiles fill empty cells with the overall mean.
+     * @private
+     * @param {string} metric - "count" or a numeric column.
+     * @returns {{rows: Array<string>, columns: Array<string>}} The row and column orders.
+     */
+    function getOrder(metric) {
+        if (!store.getState().heatmapClustered) return { rows: rowKeys, columns: columnKeys };
+        const overallMean = metric === "count" ? 0 : (d3.mean(chartData, d => d[metric]) ?? 0);
+        const matrix = rowKeys.map((row, i) => columnKeys.map((column, j) => getCellValue(cells[i * columnKeys.length + j], metric)));
+        const profile = vector => {
+            if (metric !== "count") return vector.map(value => isNaN(value) ? overallMean : value);
+            const total = d3.sum(vector);
+            return vector.map(value => total > 0 ? value / total : 0);
+        };
+        const rowOrder = clusterOrder(matrix.map(profile));
+        const columnOrder = clusterOrder(columnKeys.map((column, j) => profile(matrix.map(values => values[j]))));
+        return { rows: rowOrder.map(i => rowKeys[i]), columns: columnOrder.map(j => columnKeys[j]) };
+    }
+
+    /**
+     * Colors and positions the cells for the metric and ordering in the store. Cells and labels
+     * are keyed, so calling it again animates them to their new places and colors.
+     * @private
+     */
+    function drawCells() {
+        const metric = getMetric();
+        const { rows, columns } = getOrder(metric);
+        xScale.domain(columns);
+        yScale.domain(rows);
+
+        const values = cells.map(cell => getCellValue(cell, metric)).filter(value => !isNaN(value) && (metric !== "count" || value > 0));
+        const colorScale = metric === "count"
+            ? d3.scaleSequentialSqrt(d3.interpolateYlOrRd).domain([0, d3.max(values) || 1]) // Sqrt, since "None" columns dwarf the rest
+            : d3.scaleSequential(d3.interpolateViridis).domain(d3.extent(values).every(v => v !== undefined) ? d3.extent(values) : [0, 1]);
+        const cellColor = cell => {
+            const value = getCellValue(cell, metric);
+            return isNaN(value) || (metric === "count" && value === 0) ? "#f2f2f2" : colorScale(value);
+        };
+
+        chartRoot.selectAll("rect.heatmap-cell")
+            .data(cells, d => `${d.row}|${d.column}`)
+            .join(enter => enter.append("rect")
+                .attr("class", "heatmap-cell")
+                .attr("x", d => xScale(d.column))
+                .attr("y", d => yScale(d.row))
+                .call(enter => enter.append("title")))
+            .classed("heatmap-cell-dimmed", d => !!activeRow && d.row !== activeRow)
+            .style("cursor", d => d.pokemon.length > 0 ? "pointer" : null)
+            .on("click", (event, d) => {
+                if (d.pokemon.length === 0) return;
+                // Same drill-down as the stacked bar, which switches back to its type columns if needed
+                const columnChanges = isTypeDrillDown ? {} : { stackedBarRowColumn: "Type_1", stackedBarStackColumn: "Type_2", hiddenStackValues: [], stackedBarSortValue: null };
+                store.update({ ...columnChanges, primaryType: d.row, secondaryType: d.column }, "heatmap");
+            })
+            .call(rect => rect.select("title").text(d => {
+                const value = getCellValue(d, metric);
+                const valueText = metric === "count" ? `${d.pokemon.length} Pokémon`
+                    : `mean ${formatColumnLabel(metric)} ${isNaN(value) ? "N/A" : formatValue(value)} (${d.pokemon.length} Pokémon)`;
+                return `${d.row} / ${d.column}: ${valueText}`;
+            }))
+            .transition().duration(animationDuration)
+                .attr("x", d => xScale(d.column))
+                .attr("y", d => yScale(d.row))
+                .attr("width", xScale.bandwidth())
+                .attr("height", yScale.bandwidth())
+                .attr("fill", cellColor);
+
+        // Row labels (primary types) on the left, column labels (secondary types) rotated on top
+        chartRoot.selectAll("text.heatmap-row-label")
+            .data(rowKeys, d => d)
+            .join(enter => enter.append("text")
+                .attr("class", "heatmap-row-label")
+                .attr("x", -4)
+                .attr("y", d => yScale(d) + yScale.bandwidth() / 2)
+                .attr("dy", "0.35em")
+                .attr("text-anchor", "end")
+                .style("font-size", "9px")
+                .text(d => d))
+            .style("font-weight", d => d === activeRow ? "bold" : null)
+            .transition().duration(animationDuration)
+                .attr("y", d => yScale(d) + yScale.bandwidth() / 2);
+        chartRoot.selectAll("text.heatmap-column-label")
+            .data(columnKeys, d => d)
+            .join(enter => enter.append("text")
+                .attr("class", "heatmap-column-label")
+                .attr("transform", d => `translate(${xScale(d) + xScale.bandwidth() / 2}, -4) rotate(-60)`)
+                .attr("text-anchor", "start")
+                .style("font-size", "9px")
+                .text(d => d))
+            .transition().duration(animationDuration)
+                .attr("transform", d => `translate(${xScale(d) + xScale.bandwidth() / 2}, -4) rotate(-60)`);
+
+        drawColorLegend(colorScale, metric);
+        highlightSelectedPokemon(store.getState().selectedPokemon);
+    }
+
+    // --- Controls & Legend (right margin) ---
+    const sidePanel = chartRoot.append("g")
+        .attr("class", "heatmap-side-panel")
+        .attr("transform", `translate(${width + 15}, 0)`);
+
+    const controls = sidePanel.append("foreignObject")
+        .attr("width", margin.right - 20)
+        .attr("height", 60)
+      .append("xhtml:div")
+        .attr("class", "heatmap-controls")
+        .style("display", "flex")
+        .style("flex-direction", "column")
+        .style("gap", "4px")
+        .style("font-size", "10px");
+
+    const metricSelect = controls.append("label").text("Color: ")
+        .append("select")
+        .attr("class", "heatmap-metric")
+        .style("font-size", "10px")
+        .style("max-width", "100%")
+        .on("change", function() { store.update({ heatmapMetric: this.value }, "heatmap"); });
+    metricSelect.selectAll("option")
+        .data(metricOptions)
+        .join("option")
+            .attr("value", d => d)
+            .text(d => d === "count" ? "Count" : `Mean ${formatColumnLabel(d)}`);
+
+    const clusterCheckbox = controls.append("label").text(" Cluster rows & columns")
+        .insert("input", ":first-child")
+        .attr("type", "checkbox")
+        .attr("class", "heatmap-cluster")
+        .on("change", function() { store.update({ heatmapClustered: this.checked }, "heatmap"); });
+
+    // Vertical gradient legend below the controls
+    const legendTop = 75;
+    const legendHeight = Math.max(20, Math.min(150, height - legendTop - 10));
+    const gradientId = `heatmap-gradient-${containerId.replace(/[^\w-]/g, "")}`;
+    const gradient = sidePanel.append("defs").append("linearGradient")
+        .attr("id", gradientId)
+        .attr("x1", 0).attr("y1", 1).attr("x2", 0).attr("y2", 0); // Low values at the bottom
+    const legend = sidePanel.append("g")
+        .attr("class", "heatmap-legend")
+        .attr("transform", `translate(0, ${legendTop})`);
+    legend.append("rect")
+        .attr("width", 12)
+        .attr("height", legendHeight)
+        .attr("fill", `url(#${gradientId})`);
+    const legendAxis = legend.append("g")
+        .attr("class", "heatmap-legend-axis")
+        .attr("transform", "translate(12, 0)");
+    const legendTitle = legend.append("text")
+        .attr("y", -6)
+        .style("font-size", "10px");
+
+    /**
+     * Updates the gradient legend to a color scale.
+     * @private
+     * @param {Function} colorScale - The sequential scale coloring the cells.
+     * @param {string} metric - "count" or a numeric column.
+     */
+    function drawColorLegend(colorScale, metric) {
+        const [min, max] = colorScale.domain();
+        gradient.selectAll("stop")
+            .data(d3.range(11).map(i => i / 10))
+            .join("stop")
+                .attr("offset", t => `${t * 100}%`)
+                .attr("stop-color", t => colorScale(min + t * (max - min)));
+        legendAxis.call(d3.axisRight(d3.scaleLinear().domain([min, max]).range([legendHeight, 0])).ticks(4, metric === "count" ? "d" : "~s"));
+        legendTitle.text(metric === "count" ? "Pokémon" : `Mean ${formatColumnLabel(metric)}`);
+    }
+
+    redrawCells = () => {
+        metricSelect.property("value", getMetric());
+        clusterCheckbox.property("checked", store.getState().heatmapClustered);
+        drawCells();
+    };
+    redrawCells();
+}
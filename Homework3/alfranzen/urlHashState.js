@@ -0,0 +1,108 @@
+/**
+ * @file Keeps the dashboard state in the location hash, so a view can be bookmarked or shared
+ * and the browser's back/forward buttons step through the stacked bar drill-down.
+ * The hash is a query string, e.g.
+ * `#view=heatmap&primary=Fire&secondary=Flying&gen=2&types=Fire,Water&selected=Charizard&brushes=HP:50:100`.
+ */
+
+/**
+ * Store keys that add a browser history entry when they change; every other key replaces
+ * the current entry, so dragging a brush or playing the animation does not flood the history.
+ * @private
+ * @type {Array<string>}
+ */
+const HISTORY_KEYS = ["topLeftView", "primaryType", "secondaryType", "stackedBarRowColumn", "stackedBarStackColumn"];
+
+/**
+ * Source name used when publishing state read from the URL.
+ * @private
+ * @type {string}
+ */
+const URL_SOURCE = "urlHash";
+
+/**
+ * Source name for changes that step through a chart's own back/forward history. They replace
+ * the current history entry even when they change a drill-down key, so the chart's steps do
+ * not cut off the browser's forward stack.
+ * @type {string}
+ */
+export const HISTORY_STEP_SOURCE = "historyStep";
+
+/**
+ * Serializes the URL-backed part of the dashboard state. Default values are left out.
+ * @param {Object} state - The dashboard state.
+ * @returns {string} The hash, without the leading `#` (empty for the default view).
+ */
+export function serializeDashboardState(state) {
+    const params = new URLSearchParams();
+    if (state.topLeftView && state.topLeftView !== "stackedBar") params.set("view", state.topLeftView);
+    if (state.stackedBarRowColumn && state.stackedBarRowColumn !== "Type_1") params.set("rows", state.stackedBarRowColumn);
+    if (state.stackedBarStackColumn && state.stackedBarStackColumn !== "Type_2") params.set("stack", state.stackedBarStackColumn);
+    if (state.primaryType) params.set("primary", state.primaryType);
+    if (state.primaryType && state.secondaryType) params.set("secondary", state.secondaryType);
+    if (state.generationIndex) params.set("gen", state.generationIndex);
+    if (state.ridgelinePlaying) params.set("playing", "1");
+    if (state.types) params.set("types", state.types.join(","));
+    if (state.selectedPokemon) params.set("selected", state.selectedPokemon);
+    const brushEntries = Object.entries(state.brushes || {});
+    if (brushEntries.length > 0) {
+        params.set("brushes", brushEntries.map(([dim, [min, max]]) => `${dim}:${+min.toFixed(2)}:${+max.toFixed(2)}`).join(","));
+    }
+    return params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":"); // Both are safe in a hash; keep it readable
+}
+
+/**
+ * Parses a location hash into dashboard state. Every URL-backed key is returned, with its
+ * default value when absent, so applying the result also resets what the hash leaves out.
+ * Malformed values fall back to the defaults.
+ * @param {string} hash - The location hash, with or without the leading `#`.
+ * @returns {Object} State properties for `store.update` or `createDashboardStore`.
+ */
+export function parseDashboardHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const generationIndex = parseInt(params.get("gen"), 10);
+
+    const brushes = {};
+    (params.get("brushes") || "").split(",").filter(Boolean).forEach(entry => {
+        const [dim, min, max] = entry.split(":");
+        if (dim && !isNaN(parseFloat(min)) && !isNaN(parseFloat(max))) {
+            brushes[dim] = [Math.min(+min, +max), Math.max(+min, +max)];
+        }
+    });
+
+    return {
+        topLeftView: params.get("view") || "stackedBar",
+        stackedBarRowColumn: params.get("rows") || "Type_1",
+        stackedBarStackColumn: params.get("stack") || "Type_2",
+        primaryType: params.get("primary") || null,
+        secondaryType: params.get("primary") ? params.get("secondary") || null : null,
+        generationIndex: isNaN(generationIndex) || generationIndex < 0 ? 0 : generationIndex,
+        ridgelinePlaying: params.get("playing") === "1",
+        types: params.has("types") ? params.get("types").split(",").filter(Boolean) : null,
+        selectedPokemon: params.get("selected") || null,
+        brushes
+    };
+}
+
+/**
+ * Mirrors the store into the location hash and applies hash changes (back/forward, edited
+ * URLs) back to the store. Drill-down changes push a history entry; other changes (and steps
+ * through a chart's own history, see `HISTORY_STEP_SOURCE`) replace it.
+ * @param {Object} store - The shared dashboard store.
+ */
+export function bindDashboardStateToUrl(store) {
+    store.subscribe("urlHash", (state, changedKeys, source) => {
+        if (source === URL_SOURCE) return; // Already reflected in the URL
+        const hash = serializeDashboardState(state);
+        if (hash === window.location.hash.replace(/^#/, "")) return;
+
+        const url = `${window.location.pathname}${window.location.search}${hash ? "#" + hash : ""}`;
+        if (source !== HISTORY_STEP_SOURCE && changedKeys.some(key => HISTORY_KEYS.includes(key))) window.history.pushState(null, "", url);
+        else window.history.replaceState(null, "", url);
+    });
+
+    // "popstate" covers back/forward through pushed entries, "hashchange" covers edited URLs.
+    const applyHash = () => store.update(parseDashboardHash(window.location.hash), URL_SOURCE);
+    window.addEventListener("popstate", applyHash);
+    window.addEventListener("hashchange", applyHash);
+}